@@ -1,5 +1,5 @@
 // ======================= aisummary.js (PART 1/2) =======================
-// FULL DROP-IN (PT/OT diffdx, summary, goals) + Region-specific goal banks (PT + OT)
+// FULL DROP-IN (PT/OT/SLP diffdx, summary, goals) + Region-specific goal banks (PT + OT + SLP)
 //
 // Endpoints (POST):
 //  - /pt_generate_diffdx
@@ -8,6 +8,9 @@
 //  - /ot_generate_diffdx
 //  - /ot_generate_summary
 //  - /ot_generate_goals
+//  - /slp_generate_diffdx
+//  - /slp_generate_summary
+//  - /slp_generate_goals
 //
 // Request JSON:
 //  { fields: { ... }, summary_type?: "Evaluation"|"Progress Note"|"Discharge" }
@@ -16,27 +19,26 @@
 //  { result: "..." , region?: "..." }
 //
 // ENV:
-//  OPENAI_API_KEY (required)
-//  OPENAI_MODEL (optional, default gpt-4o-mini)
+//  LLM_PROVIDER / OPENAI_API_KEY / OPENAI_MODEL (see llm.js)
 //  AI_API_KEY (optional, if you enable header auth below)
 
 import express from "express";
-import OpenAI from "openai";
+import { getProvider } from "./llm.js";
+import { providerErrorStatus } from "./resilience.js";
+import { getDiscipline } from "./disciplines.js";
 
 const router = express.Router();
 
-const MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
-
 // --------------------------------------------------
 // Optional header auth
+// (skipped when server.js already authenticated the request: req.user)
 // --------------------------------------------------
 
 const REQUIRE_API_KEY = !!process.env.AI_API_KEY;
 const AI_API_KEY = process.env.AI_API_KEY || "";
 
 function requireKey(req, res, next) {
-  if (!REQUIRE_API_KEY) return next();
+  if (!REQUIRE_API_KEY || req.user) return next();
   const got = req.header("X-API-Key") || "";
   if (!got || got !== AI_API_KEY) {
     return res.status(401).json({ error: "Unauthorized" });
@@ -46,12 +48,6 @@ function requireKey(req, res, next) {
 
 router.use(requireKey);
 
-if (!OPENAI_API_KEY) {
-  console.warn("⚠️ OPENAI_API_KEY missing. AI routes will fail.");
-}
-
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
-
 // --------------------------------------------------
 // Utilities
 // --------------------------------------------------
@@ -247,10 +243,7 @@ function buildSoapAssessment(f) {
 }
 
 async function gptCall(prompt, maxTokens = 500, temperature = 0.2) {
-  if (!openai) throw new Error("OPENAI_API_KEY not configured.");
-  
-  const resp = await openai.chat.completions.create({
-    model: MODEL,
+  const resp = await getProvider().chat({
     messages: [
       {
         role: "system",
@@ -263,10 +256,10 @@ async function gptCall(prompt, maxTokens = 500, temperature = 0.2) {
       { role: "user", content: prompt },
     ],
     temperature,
-    max_tokens: maxTokens,
+    maxTokens,
   });
   
-  return resp.choices?.[0]?.message?.content?.trim() || "";
+  return resp.text?.trim() || "";
 }
 
 async function enforceCleanOutputOrRepair({
@@ -314,7 +307,7 @@ function normalizeSummaryType(x) {
 }
 
 // --------------------------------------------------
-// Region detection + banks (PT + OT)
+// Region detection + banks (PT + OT + SLP)
 // --------------------------------------------------
 
 function detectPTRegion(f) {
@@ -362,6 +355,28 @@ function detectOTRegion(f) {
   return "general";
 }
 
+function detectSLPRegion(f) {
+  const src = [
+    f.meddiag,
+    f.region,
+    f.body_region,
+    f.bodyRegion,
+    f.summary,
+    f.subjective,
+    f.impairments,
+    f.functional,
+  ]
+  .filter(Boolean)
+  .join(" ")
+  .toLowerCase();
+  
+  if (/(dysphag|swallow|aspirat|penetrat|npo|diet|thin liquid|nectar|puree|bolus|pocketing)/.test(src)) return "dysphagia";
+  if (/(aphasia|anomia|word[-\s]?finding|paraphasi|naming|expressive language|receptive language)/.test(src)) return "aphasia";
+  if (/(cognit|memory|attention|executive|dementia|orientation|problem solving|sequencing)/.test(src)) return "cognition";
+  
+  return "general";
+}
+
 const PT_GOAL_BANKS = {
   lbp: {
     label: "PT — Low Back / Lumbar",
@@ -571,6 +586,94 @@ const OT_GOAL_BANKS = {
   },
 };
 
+const SLP_GOAL_BANKS = {
+  dysphagia: {
+    label: "SLP — Dysphagia",
+    functionalTasks: [
+      "consuming least restrictive diet",
+      "taking thin liquids by cup/straw",
+      "taking pills/medications",
+      "completing a full meal within typical time",
+      "managing mixed consistencies",
+    ],
+    objectiveFocus: [
+      "oral motor strength/ROM and bolus control",
+      "swallow initiation and hyolaryngeal excursion",
+      "compensatory swallow strategy use (chin tuck, small sips, slow rate)",
+      "PO intake and hydration",
+      "aspiration precaution carryover",
+    ],
+    measures: [
+      "with ≥[percent]% accuracy given [cue level]",
+      "without overt s/s aspiration in ≥[percent]% of trials",
+      "consume ≥[percent]% of meals without s/s aspiration",
+      "complete swallow exercises with ≥[percent]% accuracy",
+    ],
+    cueLevels: ["independent", "min cues", "mod cues", "max cues"],
+  },
+
+  cognition: {
+    label: "SLP — Cognitive-Communication",
+    functionalTasks: [
+      "medication management",
+      "appointment scheduling/recall",
+      "simple money management",
+      "following multistep directions",
+      "safety awareness during IADLs",
+    ],
+    objectiveFocus: [
+      "short-term memory and recall",
+      "sustained/divided attention",
+      "problem solving and sequencing",
+      "external memory aid use",
+      "orientation and safety awareness",
+    ],
+    measures: [
+      "with ≥[percent]% accuracy given [cue level]",
+      "recall ≥[number]/[number] items after delay",
+      "complete [task] with ≤[number] cues",
+      "use memory aids on ≥[percent]% of opportunities",
+    ],
+    cueLevels: ["independent", "min cues", "mod cues", "max cues"],
+  },
+
+  aphasia: {
+    label: "SLP — Aphasia / Language",
+    functionalTasks: [
+      "expressing basic wants/needs",
+      "conversation with familiar partners",
+      "phone use",
+      "communicating with medical staff",
+      "reading/writing functional messages",
+    ],
+    objectiveFocus: [
+      "word retrieval/naming",
+      "sentence formulation",
+      "auditory comprehension",
+      "multimodal/AAC communication",
+      "communication partner strategies",
+    ],
+    measures: [
+      "with ≥[percent]% accuracy given [cue level]",
+      "name [number] common objects given semantic/phonemic cues",
+      "follow [number]-step commands with ≥[percent]% accuracy",
+      "participate in ≥[time] conversation using strategies",
+    ],
+    cueLevels: ["independent", "min cues", "mod cues", "max cues"],
+  },
+
+  general: {
+    label: "SLP — General",
+    functionalTasks: ["functional communication", "safe PO intake", "daily routine participation", "IADL safety"],
+    objectiveFocus: ["speech/language skills as applicable", "swallow function as applicable", "cognitive-communication as applicable"],
+    measures: [
+      "with ≥[percent]% accuracy given [cue level]",
+      "complete [task] with ≤[number] cues",
+    ],
+    cueLevels: ["independent", "min cues", "mod cues", "max cues"],
+  },
+};
+
 function buildPTGoalsPrompt(f, regionKey) {
   const bank = PT_GOAL_BANKS[regionKey] || PT_GOAL_BANKS.general;
   const diag = safeStr(f.meddiag) || safeStr(f.pain_location || f.painLocation) || "N/A";
@@ -666,6 +769,52 @@ Long-Term Goals (13–25 visits):
 4. Pt will independently manage HEP and compensatory strategies to maintain functional gains.
 `.trim();
 }
+function buildSLPGoalsPrompt(f, regionKey) {
+  const bank = SLP_GOAL_BANKS[regionKey] || SLP_GOAL_BANKS.general;
+  const diag = safeStr(f.meddiag) || safeStr(f.impairments) || "N/A";
+  
+  return `
+You are a clinical assistant helping a Speech-Language Pathologist write documentation.
+
+Use ONLY the info below. Do NOT invent details.
+Do NOT use third-person pronouns; use "Pt" only.
+No bullets beyond the required numbered goal lines.
+Do NOT add or remove any sections.
+
+Diagnosis/Area: ${diag}
+Summary: ${safeStr(f.summary) || safeStr(f.subjective) || "N/A"}
+Tests/Findings: ${safeStr(f.special) || safeStr(f.tests) || "N/A"}
+Impairments: ${safeStr(f.impairments) || "N/A"}
+Functional Limitations: ${safeStr(f.functional) || "N/A"}
+
+Area Bank Selected: ${bank.label}
+
+You MUST generate goals using ONLY these option pools (choose different options to create variation):
+- Functional task options: ${bank.functionalTasks.join(", ")}
+- Objective focus options: ${bank.objectiveFocus.join(", ")}
+- Measure phrasing options: ${bank.measures.join(", ")}
+- Cue level options: ${bank.cueLevels.join(", ")}
+
+Variability rules:
+- Choose a functional task option for STG #1 and a different task for LTG #2 when possible.
+- For STG #2, choose ONE objective focus option and ONE measure phrasing option.
+- Use placeholders if exact values are not provided.
+
+ALWAYS follow this EXACT format. Do NOT add or remove any sections.
+
+Short-Term Goals (1–12 visits):
+1. Pt will complete [functional task option] with [cue level option] to improve functional independence.
+2. Pt will improve [objective focus option] [measure phrasing option].
+3. Pt will demonstrate carryover of compensatory strategies during [functional task option] with [cue level option].
+4. Pt/caregiver will verbalize and demonstrate HEP/strategies with ≥[percent]% accuracy.
+
+Long-Term Goals (13–25 visits):
+1. Pt will independently use learned strategies to complete [functional task option] safely.
+2. Pt will demonstrate functional communication/swallow safety as applicable across daily routines.
+3. Pt will maintain gains with independent HEP and strategy use.
+4. Pt will return to PLOF for communication, cognition, and/or PO intake as applicable.
+`.trim();
+}
 // ======================= aisummary.js (PART 2/2) =======================
 
 // --------------------------------------------------
@@ -697,7 +846,7 @@ router.post("/pt_generate_diffdx", async (req, res) => {
     
     return res.json({ result });
   } catch (e) {
-    return jsonError(res, 500, "pt_generate_diffdx failed", e?.message || e);
+    return jsonError(res, providerErrorStatus(e) || 500, "pt_generate_diffdx failed", e?.message || e);
   }
 });
 
@@ -759,7 +908,7 @@ router.post("/pt_generate_summary", async (req, res) => {
     
     return res.json({ result: `${narrative}\n\n${soap}`.trim() });
   } catch (e) {
-    return jsonError(res, 500, "pt_generate_summary failed", e?.message || e);
+    return jsonError(res, providerErrorStatus(e) || 500, "pt_generate_summary failed", e?.message || e);
   }
 });
 
@@ -781,7 +930,7 @@ router.post("/pt_generate_goals", async (req, res) => {
     
     return res.json({ result, region });
   } catch (e) {
-    return jsonError(res, 500, "pt_generate_goals failed", e?.message || e);
+    return jsonError(res, providerErrorStatus(e) || 500, "pt_generate_goals failed", e?.message || e);
   }
 });
 
@@ -814,7 +963,7 @@ router.post("/ot_generate_diffdx", async (req, res) => {
     
     return res.json({ result });
   } catch (e) {
-    return jsonError(res, 500, "ot_generate_diffdx failed", e?.message || e);
+    return jsonError(res, providerErrorStatus(e) || 500, "ot_generate_diffdx failed", e?.message || e);
   }
 });
 
@@ -876,7 +1025,7 @@ router.post("/ot_generate_summary", async (req, res) => {
     
     return res.json({ result: `${narrative}\n\n${soap}`.trim() });
   } catch (e) {
-    return jsonError(res, 500, "ot_generate_summary failed", e?.message || e);
+    return jsonError(res, providerErrorStatus(e) || 500, "ot_generate_summary failed", e?.message || e);
   }
 });
 
@@ -897,7 +1046,125 @@ router.post("/ot_generate_goals", async (req, res) => {
     
     return res.json({ result, region });
   } catch (e) {
-    return jsonError(res, 500, "ot_generate_goals failed", e?.message || e);
+    return jsonError(res, providerErrorStatus(e) || 500, "ot_generate_goals failed", e?.message || e);
+  }
+});
+
+// --------------------------------------------------
+// SLP ROUTES
+// --------------------------------------------------
+
+router.post("/slp_generate_diffdx", async (req, res) => {
+  try {
+    const f = normalizeFields(req.body?.fields || {});
+    
+    const prompt =
+    "You are an SLP clinical assistant. Based on the evaluation details below, " +
+    "provide a concise SLP differential considerations list (3–6 items) in ONE paragraph separated by semicolons " +
+    "(e.g., oral vs pharyngeal dysphagia, expressive vs receptive aphasia, cognitive-communication deficit, dysarthria, apraxia). " +
+    "Use non-diagnostic language ('findings are consistent with / suggestive of'). No bullets.\n\n" +
+    `Subjective:\n${safeStr(f.subjective) || safeStr(f.summary) || "N/A"}\n\n` +
+    `Tests:\n${safeStr(f.tests) || "N/A"}\n${safeStr(f.special) || ""}\n\n` +
+    `Objective:\nOral motor ROM: ${safeStr(f.rom) || "N/A"}\nOral motor strength: ${safeStr(f.strength) || "N/A"}\n` +
+    `Functional (swallow/communication/cognition): ${safeStr(f.functional) || "N/A"}\n` +
+    `Impairments: ${safeStr(f.impairments) || "N/A"}\n`;
+    
+    const draft = await gptCall(prompt, 280, 0.2);
+    const result = await enforceCleanOutputOrRepair({
+      text: draft,
+      purpose: "SLP differential dx",
+      maxTokens: 220,
+      allowNumbered: false,
+    });
+    
+    return res.json({ result });
+  } catch (e) {
+    return jsonError(res, providerErrorStatus(e) || 500, "slp_generate_diffdx failed", e?.message || e);
+  }
+});
+
+router.post("/slp_generate_summary", async (req, res) => {
+  try {
+    const f = normalizeFields(req.body?.fields || {});
+    const summaryType = normalizeSummaryType(req.body?.summary_type);
+    const pocContent = getDiscipline("SLP").pocContent;
+    
+    const name =
+    safeStr(f.name) ||
+    safeStr(f.slp_patient_name) ||
+    safeStr(f.patient_name) ||
+    safeStr(f.full_name) ||
+    "Pt";
+    
+    const age = computeAge(f.dob, f.age || "X");
+    const gender = safeStr(f.gender || "patient").toLowerCase();
+    const pmh = safeStr(f.history) || "no significant history";
+    const meds = safeStr(f.meds) || "N/A";
+    const today = safeStr(f.currentdate) || new Date().toLocaleDateString("en-US");
+    
+    let prompt = "";
+    
+    if (summaryType === "Evaluation") {
+      prompt =
+      "Generate a concise 7–8 sentence SLP evaluation assessment summary that is Medicare compliant. " +
+      "No bullets. No arrows. Use 'Pt' only.\n\n" +
+      `Start with EXACTLY: "${name}, a ${age} y/o ${gender} with PMH of ${pmh}."\n` +
+      `Include SLP eval on ${today}. Primary complaint: ${safeStr(f.subjective) || safeStr(f.summary) || "N/A"}. ` +
+      `Meds: ${meds}. Referring dx: ${safeStr(f.meddiag) || "N/A"}. ` +
+      `Summarize test results if provided (${safeStr(f.special) || safeStr(f.tests) || "N/A"}). ` +
+      `Summarize swallow/communication/cognitive limitations: ${safeStr(f.functional) || safeStr(f.impairments) || "N/A"}. ` +
+      `State the SLP POC will address: ${pocContent} ` +
+      "End by stating continued skilled SLP is medically necessary to improve swallow safety, functional communication, and/or cognition for PLOF.";
+    } else if (summaryType === "Progress Note") {
+      prompt =
+      "Generate a concise 5–7 sentence SLP progress note summary that is Medicare compliant. " +
+      "No bullets. No arrows. Use 'Pt' only.\n\n" +
+      `Context: ${safeStr(f.subjective) || safeStr(f.summary) || "N/A"}\n` +
+      `Objective cues: tests: ${safeStr(f.special) || safeStr(f.tests) || "N/A"}; function: ${safeStr(f.functional) || "N/A"}.\n` +
+      `Include progress/tolerance and continued need for skilled SLP per POC (${pocContent})`;
+    } else {
+      prompt =
+      "Generate a concise 5–7 sentence SLP discharge summary that is Medicare compliant. " +
+      "No bullets. No arrows. Use 'Pt' only.\n\n" +
+      `Discharge context: ${safeStr(f.subjective) || safeStr(f.summary) || "N/A"}\n` +
+      `Functional status (swallow/communication/cognition): ${safeStr(f.functional) || "N/A"}; remaining impairments: ${safeStr(f.impairments) || "N/A"}.\n` +
+      "Include current status, diet/strategy recommendations if provided, HEP/caregiver carryover, and follow-up recommendations without inventing facts.";
+    }
+    
+    const narrativeDraft = await gptCall(prompt, 520, 0.2);
+    const narrative = await enforceCleanOutputOrRepair({
+      text: narrativeDraft,
+      purpose: "SLP summary",
+      maxTokens: 420,
+      allowNumbered: false,
+    });
+    
+    const soap = buildSoapAssessment(f);
+    
+    return res.json({ result: `${narrative}\n\n${soap}`.trim() });
+  } catch (e) {
+    return jsonError(res, providerErrorStatus(e) || 500, "slp_generate_summary failed", e?.message || e);
+  }
+});
+
+router.post("/slp_generate_goals", async (req, res) => {
+  try {
+    const f = normalizeFields(req.body?.fields || {});
+    const region = detectSLPRegion(f);
+    
+    const prompt = buildSLPGoalsPrompt(f, region);
+    
+    const draft = await gptCall(prompt, 520, 0.35);
+    const result = await enforceCleanOutputOrRepair({
+      text: draft,
+      purpose: "SLP goals",
+      maxTokens: 420,
+      allowNumbered: true,
+    });
+    
+    return res.json({ result, region });
+  } catch (e) {
+    return jsonError(res, providerErrorStatus(e) || 500, "slp_generate_goals failed", e?.message || e);
   }
 });
 
@@ -0,0 +1,134 @@
+// ======================= auditLog.js =======================
+// Append-only audit trail for every model-backed request (/generate, /generate/stream, /clean,
+// /eval/extract, pt_generate_* and the /api/ai routes).
+//
+// One JSON object per line in DATA_DIR/audit/<YYYY-MM-DD>.jsonl (UTC day of startedAt).
+// Lines are only ever appended; nothing in here rewrites or deletes an entry.
+//
+// Entry shape:
+//  {
+//    id, route, startedAt, finishedAt, durationMs,
+//    clinicianId, patientLabel, discipline,
+//    user,                                     // authenticated { id, name, role } (null: AUTH_MODE=off)
+//    status: "ok" | "error", outcome,          // outcome: /generate outcome ("valid", "coerced", ...)
+//    input,                                    // request inputs (userText, fields, ...)
+//    phrases,                                  // rotation phrases chosen for the note
+//    calls: [{ pass, temperature, messages, output, startedAt, durationMs, error? }],  // pass "model":
+//                                              // recorded by the provider (/api/ai routes)
+//    repairs, facts, billing, debug,           // /generate pipeline detail
+//    result,                                   // final note / text returned to the client
+//    redaction,                                // PHI redaction report (phiRedaction.js) or null
+//    error                                     // message when status is "error"
+//  }
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const DAY_FILE_RE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Fields kept in query listings; the full entry (prompts + raw outputs) comes from get().
+const SUMMARY_KEYS = [
+  "id",
+  "route",
+  "startedAt",
+  "durationMs",
+  "clinicianId",
+  "patientLabel",
+  "discipline",
+  "status",
+  "outcome",
+];
+
+function dayOf(iso) {
+  return String(iso).slice(0, 10);
+}
+
+function summarize(entry) {
+  const out = Object.fromEntries(SUMMARY_KEYS.map((k) => [k, entry[k] ?? null]));
+  out.calls = entry.calls?.length || 0;
+  out.repairs = (entry.repairs || []).map((r) => r.pass);
+  return out;
+}
+
+function createAuditLog({ dir }) {
+  function dayFiles() {
+    try {
+      return fs
+        .readdirSync(dir)
+        .map((f) => f.match(DAY_FILE_RE))
+        .filter(Boolean)
+        .map((m) => ({ day: m[1], file: path.join(dir, m[0]) }))
+        .sort((a, b) => a.day.localeCompare(b.day));
+    } catch (err) {
+      if (err?.code !== "ENOENT") console.warn(`⚠️ Could not list ${dir}.`, err?.message || err);
+      return [];
+    }
+  }
+
+  // Unparseable lines (e.g. a torn write) are skipped, not fatal.
+  function readDay(file) {
+    return fs
+      .readFileSync(file, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+  }
+
+  function append(entry) {
+    const record = { id: crypto.randomUUID(), ...entry };
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(
+      path.join(dir, `${dayOf(record.startedAt)}.jsonl`),
+      `${JSON.stringify(record)}\n`
+    );
+    return record;
+  }
+
+  // Filters: patientLabel, clinicianId, route, outcome, status (exact), from/to (Date), limit.
+  // Newest first.
+  function query({ patientLabel, clinicianId, route, outcome, status, from, to, limit } = {}) {
+    const fromDay = from ? from.toISOString().slice(0, 10) : null;
+    const toDay = to ? to.toISOString().slice(0, 10) : null;
+    const max = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const matches = dayFiles()
+      .filter(({ day }) => (!fromDay || day >= fromDay) && (!toDay || day <= toDay))
+      .flatMap(({ file }) => readDay(file))
+      .filter((e) => {
+        const at = new Date(e.startedAt);
+        return (
+          (!patientLabel || e.patientLabel === patientLabel) &&
+          (!clinicianId || e.clinicianId === clinicianId) &&
+          (!route || e.route === route) &&
+          (!outcome || e.outcome === outcome) &&
+          (!status || e.status === status) &&
+          (!from || at >= from) &&
+          (!to || at <= to)
+        );
+      })
+      .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+
+    return { total: matches.length, entries: matches.slice(0, max).map(summarize) };
+  }
+
+  function get(id) {
+    for (const { file } of dayFiles().reverse()) {
+      const entry = readDay(file).find((e) => e.id === id);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  return { append, query, get };
+}
+
+export { createAuditLog };
@@ -0,0 +1,421 @@
+// ======================= billing.js =======================
+// CPT units from documented minutes (visit dictation), Medicare 8-minute rule.
+//
+// - parseMinutes(text) finds "<intervention> <N> min" / "<N> min of <intervention>" / "97110 23 min"
+//   mentions and maps each to a CPT code (CPT_CODES); mentions without an intervention are kept
+//   as `unassigned`, "total time 45 min" as the documented total.
+// - allocateUnits(timed) applies the CMS rule to the timed (15-minute) codes:
+//    total units = floor(T / 15) + (T % 15 >= 8 ? 1 : 0), T = all timed minutes of the visit;
+//    each code first gets its full 15-minute units, the units left go to the codes with the most
+//    remaining minutes. 97129 bills its first unit, 97130 every additional one.
+// - Untimed (service-based) codes bill 1 unit when performed, whatever the minutes.
+// - FLAGGED_SERVICES (HEP instruction) are reported with their minutes and a warning instead of
+//   a code: whether they bill, and under which code, depends on the skilled service provided.
+//
+// buildBilling({ text, discipline }) returns the billing block (null when nothing is documented):
+//  {
+//    rule: "cms-8-minute",
+//    timed:   [{ code, label, minutes, units }],
+//    untimed: [{ code, label, minutes, units }],
+//    totalTimedMinutes, totalTimedUnits, totalUnits,
+//    documentedTotalMinutes,                 // "total time ..." in the text, null if absent
+//    itemizedMinutes,                        // every minute mentioned with a service (or none)
+//    flagged: [{ id, label, minutes }],      // FLAGGED_SERVICES, not counted in units
+//    unassigned: [{ text, minutes }],
+//    warnings: [string]
+//  }
+// Units are a documentation aid; the payer's own rules (e.g. per-code "substantial portion") win.
+
+const MINUTES_PER_UNIT = 15;
+const MIN_MINUTES_FOR_UNIT = 8;
+
+// timed: billed per 15 minutes; addOn: code billed for every unit after the first.
+const CPT_CODES = [
+  {
+    code: "97110",
+    label: "Therapeutic Exercise",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\bther[\s-]?ex\b|\btherapeutic exercise|\bnustep\b|\bbike\b|\bube\b/gi,
+  },
+  {
+    code: "97112",
+    label: "Neuromuscular Re-ed",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\bneuro[\s-]?re[\s-]?ed\w*|\bneuromuscular re[\s-]?ed\w*|\bnmr\b|\bbalance\b|\bproprioceptive\b/gi,
+  },
+  {
+    code: "97116",
+    label: "Gait Training",
+    timed: true,
+    disciplines: ["PT"],
+    re: /\bgait\b|\bambulation training\b|\bstairs? training\b/gi,
+  },
+  {
+    code: "97140",
+    label: "Manual Therapy",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\bmt\b|\bmanual\b|\bmanual therapy\b|\bstm\b|\biastm\b|\bsoft tissue\b|\bmobs?\b|\bmobilizations?\b|\bmanual stretch\w*|\bmyofascial\b/gi,
+  },
+  {
+    code: "97530",
+    label: "Therapeutic Activity",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\bther[\s-]?act\b|\bta\b|\btherapeutic activit\w*|\bfunctional training\b|\btransfer training\b|\btransfers\b|\bbed mobility\b/gi,
+  },
+  {
+    code: "97535",
+    label: "Self-Care/Home Management Training",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\bself[\s-]care\b|\badls?\b|\bhome management\b|\b(?:ub|lb) dressing\b|\bdressing\b|\bgrooming\b|\bbathing\b|\btoileting\b|\bfeeding\b|\bae training\b|\badaptive equipment\b/gi,
+  },
+  {
+    code: "97537",
+    label: "Community/Work Reintegration",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\bcommunity reintegration\b|\bwork reintegration\b/gi,
+  },
+  {
+    code: "97542",
+    label: "Wheelchair Management",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\bw\/?c management\b|\bwheelchair\b/gi,
+  },
+  {
+    code: "97750",
+    label: "Physical Performance Test",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\bphysical performance test\w*|\bfce\b/gi,
+  },
+  {
+    code: "97760",
+    label: "Orthotic Management/Training",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\borthotic\w*|\bsplint\w*/gi,
+  },
+  {
+    code: "97032",
+    label: "Electrical Stimulation (attended)",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\battended e[\s-]?stim\b|\be[\s-]?stim \(?attended\b/gi,
+  },
+  {
+    code: "97033",
+    label: "Iontophoresis",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\biontophoresis\b|\bionto\b/gi,
+  },
+  {
+    code: "97035",
+    label: "Ultrasound",
+    timed: true,
+    disciplines: ["PT", "OT"],
+    re: /\bultrasound\b/gi,
+  },
+  {
+    code: "97129",
+    label: "Therapeutic Interventions Cognitive Function (initial 15 min)",
+    timed: true,
+    addOn: "97130",
+    disciplines: ["OT", "SLP"],
+    re: /\bcognitive (?:tx|training|intervention\w*|retraining)\b|\bmemory (?:tasks?|training|strategies)\b|\bproblem[\s-]solving\b|\battention tasks?\b/gi,
+  },
+  {
+    code: "97130",
+    label: "Therapeutic Interventions Cognitive Function (each add'l 15 min)",
+    timed: true,
+    disciplines: ["OT", "SLP"],
+    re: null, // only through 97129's addOn or an explicit code
+  },
+  {
+    code: "G0283",
+    label: "Electrical Stimulation (unattended)",
+    timed: false,
+    disciplines: ["PT", "OT"],
+    re: /\be[\s-]?stim\b|\btens\b|\bifc\b/gi,
+  },
+  {
+    code: "97012",
+    label: "Mechanical Traction",
+    timed: false,
+    disciplines: ["PT"],
+    re: /\bmechanical traction\b|\btraction\b/gi,
+  },
+  {
+    code: "97150",
+    label: "Therapeutic Procedure, Group",
+    timed: false,
+    disciplines: ["PT", "OT", "SLP"],
+    re: /\bgroup (?:tx|therapy|session)\b/gi,
+  },
+  {
+    code: "92507",
+    label: "Treatment of Speech, Language, Voice, Communication",
+    timed: false,
+    disciplines: ["SLP"],
+    re: /\bspeech\b|\blanguage\b|\bvoice\b|\baphasia\b|\barticulation\b|\bword[\s-]finding\b|\bdysarthria\b|\bnaming\b/gi,
+  },
+  {
+    code: "92526",
+    label: "Treatment of Swallowing Dysfunction",
+    timed: false,
+    disciplines: ["SLP"],
+    re: /\bdysphagia\b|\bswallow\w*|\bchin tuck\b|\bmasako\b|\bshaker\b/gi,
+  },
+];
+
+const CODE_BY_ID = new Map(CPT_CODES.map((c) => [c.code, c]));
+
+// Services documented with minutes that are not mapped to a code on their own.
+const FLAGGED_SERVICES = [
+  {
+    id: "hep",
+    label: "HEP instruction",
+    re: /\bhep\b|\bhome exercise\w*(?: program)?/gi,
+    warning:
+      "not billed on its own; count the minutes under the skilled service it was part of (e.g. 97110, 97530, 97535) when documented as skilled.",
+  },
+];
+const FLAG_BY_ID = new Map(FLAGGED_SERVICES.map((f) => [f.id, f]));
+
+// "23 min", "23 mins", "23 minutes", "x 23min"
+const MINUTES_RE = /(\d{1,3})\s*(?:minutes?|mins?)(?![a-z])/gi;
+const EXPLICIT_CODE_RE = /\b(?:9\d{4}|G\d{4})\b/g;
+const TOTAL_RE = /\btotal\b|\btx time\b|\btreatment time\b|\bsession\b/i;
+
+// Every catalog term (or explicit code) in a segment: [{ code, start, end }], and flagged
+// services as [{ flag, start, end }]
+function codeMentions(segment) {
+  const found = [];
+  for (const m of segment.matchAll(EXPLICIT_CODE_RE)) {
+    const code = m[0].toUpperCase();
+    if (CODE_BY_ID.has(code)) {
+      found.push({ code, start: m.index, end: m.index + m[0].length, explicit: true });
+    }
+  }
+  for (const entry of CPT_CODES) {
+    if (!entry.re) continue;
+    for (const m of segment.matchAll(entry.re)) {
+      found.push({ code: entry.code, start: m.index, end: m.index + m[0].length });
+    }
+  }
+  for (const service of FLAGGED_SERVICES) {
+    for (const m of segment.matchAll(service.re)) {
+      found.push({ flag: service.id, start: m.index, end: m.index + m[0].length });
+    }
+  }
+  // Attended e-stim also matches the unattended term; the longer (attended) match wins.
+  return found.filter(
+    (a) =>
+      !found.some(
+        (b) => b !== a && b.start <= a.start && b.end >= a.end && b.end - b.start > a.end - a.start
+      )
+  );
+}
+
+// The mention a minutes number belongs to: an explicit code anywhere in the segment, else the
+// closest term before the number ("ther-ex 23 min"), else the first one after ("10 min of MT").
+function mentionForMinutes(mentions, at) {
+  const explicit = mentions.find((m) => m.explicit);
+  if (explicit) return explicit;
+  const before = mentions.filter((m) => m.end <= at).sort((a, b) => b.end - a.end)[0];
+  if (before) return before;
+  return mentions.filter((m) => m.start >= at).sort((a, b) => a.start - b.start)[0] || null;
+}
+
+/**
+ * Minutes per code from free text, in documentation order.
+ * Returns { minutes: [{ code, minutes }], performed: [code], flagged: [{ id, label, minutes }],
+ *           unassigned: [{ text, minutes }], documentedTotalMinutes }
+ * 97130 minutes (explicit code) are cognitive minutes and count as 97129's.
+ */
+function parseMinutes(text) {
+  const minutes = [];
+  const performed = new Set();
+  const flagged = [];
+  const unassigned = [];
+  let documentedTotalMinutes = null;
+
+  const flag = (id, n) => {
+    let row = flagged.find((f) => f.id === id);
+    if (!row) flagged.push((row = { id, label: FLAG_BY_ID.get(id).label, minutes: null }));
+    if (n) row.minutes = (row.minutes || 0) + n;
+  };
+
+  const addMinutes = (code, n) => {
+    const key = code === "97130" ? "97129" : code;
+    const row = minutes.find((r) => r.code === key);
+    if (row) row.minutes += n;
+    else minutes.push({ code: key, minutes: n });
+  };
+
+  const segments = String(text || "")
+    .split(/(?<=[.!?])\s+|[;,\n]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  for (const segment of segments) {
+    const mentions = codeMentions(segment);
+    for (const m of mentions) {
+      if (m.flag) flag(m.flag, 0);
+      else performed.add(m.code);
+    }
+
+    for (const m of segment.matchAll(MINUTES_RE)) {
+      const n = Number(m[1]);
+      if (!(n > 0)) continue;
+      const mention = mentionForMinutes(mentions, m.index);
+      if (mention?.flag) {
+        flag(mention.flag, n);
+      } else if (mention) {
+        addMinutes(mention.code, n);
+      } else if (TOTAL_RE.test(segment)) {
+        documentedTotalMinutes = n;
+      } else {
+        unassigned.push({ text: segment, minutes: n });
+      }
+    }
+  }
+
+  return { minutes, performed: [...performed], flagged, unassigned, documentedTotalMinutes };
+}
+
+/**
+ * CMS 8-minute rule over the timed codes.
+ * timed: [{ code, minutes }] -> { rows: [{ code, minutes, units }], totalMinutes, totalUnits }
+ * Ties on remaining minutes go to the code documented first.
+ */
+function allocateUnits(timed) {
+  const rows = timed
+    .filter((t) => t.minutes > 0)
+    .map((t) => ({ ...t, units: Math.floor(t.minutes / MINUTES_PER_UNIT) }));
+  const totalMinutes = rows.reduce((n, r) => n + r.minutes, 0);
+  const totalUnits =
+    Math.floor(totalMinutes / MINUTES_PER_UNIT) +
+    (totalMinutes % MINUTES_PER_UNIT >= MIN_MINUTES_FOR_UNIT ? 1 : 0);
+
+  let left = totalUnits - rows.reduce((n, r) => n + r.units, 0);
+  const byRemainder = rows
+    .map((row, order) => ({ row, rest: row.minutes % MINUTES_PER_UNIT, order }))
+    .sort((a, b) => b.rest - a.rest || a.order - b.order);
+  for (const { row, rest } of byRemainder) {
+    if (left <= 0 || rest <= 0) break;
+    row.units += 1;
+    left -= 1;
+  }
+
+  return { rows, totalMinutes, totalUnits };
+}
+
+function buildBilling({ text, discipline }) {
+  const parsed = parseMinutes(text);
+  const warnings = [];
+
+  const timedMinutes = parsed.minutes.filter((r) => CODE_BY_ID.get(r.code).timed);
+  const untimed = parsed.performed
+    .concat(parsed.minutes.map((r) => r.code))
+    .filter((code, i, all) => !CODE_BY_ID.get(code).timed && all.indexOf(code) === i)
+    .map((code) => ({
+      code,
+      label: CODE_BY_ID.get(code).label,
+      minutes: parsed.minutes.find((r) => r.code === code)?.minutes || null,
+      units: 1,
+    }));
+
+  if (
+    !timedMinutes.length &&
+    !untimed.length &&
+    !parsed.flagged.some((f) => f.minutes) &&
+    !parsed.unassigned.length
+  ) {
+    return null;
+  }
+
+  const { rows, totalMinutes, totalUnits } = allocateUnits(timedMinutes);
+  const timed = rows.flatMap(({ code, minutes, units }) => {
+    const entry = CODE_BY_ID.get(code);
+    if (!entry.addOn || units < 2) return [{ code, label: entry.label, minutes, units }];
+    return [
+      { code, label: entry.label, minutes, units: 1 },
+      {
+        code: entry.addOn,
+        label: CODE_BY_ID.get(entry.addOn).label,
+        minutes: null,
+        units: units - 1,
+      },
+    ];
+  });
+
+  for (const t of timed) {
+    if (t.minutes && !t.units) {
+      warnings.push(
+        `${t.code}: ${t.minutes} min documented, no unit under the 8-minute rule (minutes still count toward the visit total).`
+      );
+    }
+  }
+  if (totalMinutes > 0 && totalMinutes < MIN_MINUTES_FOR_UNIT) {
+    warnings.push(
+      `Timed minutes total ${totalMinutes} (< ${MIN_MINUTES_FOR_UNIT}): no timed units billable.`
+    );
+  }
+  for (const code of parsed.performed) {
+    const entry = CODE_BY_ID.get(code);
+    const counted = timedMinutes.some((r) => r.code === (code === "97130" ? "97129" : code));
+    if (entry.timed && !counted) {
+      warnings.push(`${code} (${entry.label}) documented without minutes: not counted.`);
+    }
+  }
+  for (const f of parsed.flagged) {
+    const minutes = f.minutes ? ` (${f.minutes} min)` : "";
+    warnings.push(`${f.label}${minutes}: ${FLAG_BY_ID.get(f.id).warning}`);
+  }
+  for (const u of parsed.unassigned) {
+    warnings.push(`Minutes without an intervention: "${u.text}".`);
+  }
+  const d = String(discipline || "").toUpperCase();
+  for (const row of [...timed, ...untimed]) {
+    if (d && !CODE_BY_ID.get(row.code).disciplines.includes(d)) {
+      warnings.push(`${row.code} (${row.label}) is not a ${d} code.`);
+    }
+  }
+  const documented = parsed.documentedTotalMinutes;
+  const itemizedMinutes = [...parsed.minutes, ...parsed.flagged, ...parsed.unassigned].reduce(
+    (n, r) => n + (r.minutes || 0),
+    0
+  );
+  if (documented != null && documented < totalMinutes) {
+    warnings.push(
+      `Documented total time (${documented} min) is less than the timed intervention minutes (${totalMinutes} min).`
+    );
+  } else if (documented != null && documented !== itemizedMinutes) {
+    warnings.push(
+      `Documented total time (${documented} min) does not match the itemized minutes (${itemizedMinutes} min).`
+    );
+  }
+
+  return {
+    rule: "cms-8-minute",
+    timed,
+    untimed,
+    totalTimedMinutes: totalMinutes,
+    totalTimedUnits: totalUnits,
+    totalUnits: totalUnits + untimed.length,
+    documentedTotalMinutes: documented,
+    itemizedMinutes,
+    flagged: parsed.flagged,
+    unassigned: parsed.unassigned,
+    warnings,
+  };
+}
+
+export { CPT_CODES, FLAGGED_SERVICES, allocateUnits, buildBilling, parseMinutes };
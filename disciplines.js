@@ -0,0 +1,214 @@
+// ======================= disciplines.js =======================
+// Discipline registry (PT / OT / SLP) for visit notes and eval templates.
+//
+// Each entry carries everything that used to be a PT/OT boolean:
+//  - phrase lists + rotation slot names (intro prefix, closer, POC opener)
+//  - closing phrase, POC header + required POC content
+//  - functional anchors required in visit Summaries
+//  - eval templates
+//  - contentPass: name of the /generate topic-rule repair pass (rules live in visitRules.js)
+//
+// Adding a discipline = adding an entry here (plus templates / goal banks as needed).
+
+import { PT_TEMPLATES, OT_TEMPLATES, SLP_TEMPLATES } from "./templates.js";
+
+// ✅ ensure ALL prefixes end with a space
+const SUMMARY_INTRO_PREFIXES = [
+  "Today, pt ",
+  "Overall, pt ",
+  "Pt demonstrates ",
+  "Pt displays ",
+  "Pt shows ",
+  "Pt completes ",
+  "Therapy tx focuses on ",
+  "During today's tx, pt ",
+  "Pt continues ",
+  "Pt presents ",
+  "Assessment displays ",
+  "Tx focused on ",
+  "Functional mobility indicates pt ",
+  "Palpation indicates ",
+  "Pt participates with PT tx ",
+];
+
+const SUMMARY_CLOSERS = [
+  "Continued skilled PT remains indicated to progress POC and support functional carryover to ADLs.",
+  "Continued skilled PT remains indicated to address impairments and promote safe mobility to meet goals.",
+  "Continued skilled PT remains indicated to improve strength, ROM, and functional tolerance for PLOF.",
+  "Continued skilled PT remains indicated to reduce fall/injury risk and improve safe functional independence.",
+  "Continued skilled PT remains indicated to advance therapeutic progression and optimize functional outcomes.",
+];
+
+const OT_SUMMARY_CLOSERS = [
+  "Continued skilled OT remains indicated to progress POC and support functional carryover to ADLs.",
+  "Continued skilled OT remains indicated to address impairments and promote safe performance of ADLs/IADLs to meet goals.",
+  "Continued skilled OT remains indicated to improve UE function, coordination, and task tolerance for ADLs and PLOF.",
+  "Continued skilled OT remains indicated to reduce fall/injury risk and improve safe functional independence.",
+  "Continued skilled OT remains indicated to advance therapeutic progression and optimize functional outcomes.",
+];
+
+const POC_OPENERS = [
+  "Continue to focus on",
+  "Plan to progress",
+  "Continue skilled PT emphasizing",
+  "Continue with a focus on",
+  "Proceed with ongoing skilled PT targeting",
+  "Maintain POC with emphasis on",
+  "Continue intervention focus on",
+  "Advance POC with continued emphasis on",
+];
+
+const OT_POC_OPENERS = [
+  "Continue to focus on",
+  "Plan to progress",
+  "Continue skilled OT emphasizing",
+  "Continue with a focus on",
+  "Proceed with ongoing skilled OT targeting",
+  "Maintain POC with emphasis on",
+  "Continue intervention focus on",
+  "Advance POC with continued emphasis on",
+];
+
+const SLP_SUMMARY_INTRO_PREFIXES = [
+  "Today, pt ",
+  "Overall, pt ",
+  "Pt demonstrates ",
+  "Pt displays ",
+  "Pt shows ",
+  "Pt completes ",
+  "Therapy tx focuses on ",
+  "During today's tx, pt ",
+  "Pt continues ",
+  "Pt presents ",
+  "Assessment displays ",
+  "Tx focused on ",
+  "Functional communication indicates pt ",
+  "Clinical swallow assessment indicates ",
+  "Pt participates with SLP tx ",
+];
+
+const SLP_SUMMARY_CLOSERS = [
+  "Continued skilled SLP remains indicated to progress POC and support functional carryover to daily communication and mealtimes.",
+  "Continued skilled SLP remains indicated to improve swallow safety and reduce aspiration risk to meet goals.",
+  "Continued skilled SLP remains indicated to improve functional communication and participation in daily routines.",
+  "Continued skilled SLP remains indicated to improve cognitive-communication skills and safety awareness for PLOF.",
+  "Continued skilled SLP remains indicated to advance therapeutic progression and optimize functional outcomes.",
+];
+
+const SLP_POC_OPENERS = [
+  "Continue to focus on",
+  "Plan to progress",
+  "Continue skilled SLP emphasizing",
+  "Continue with a focus on",
+  "Proceed with ongoing skilled SLP targeting",
+  "Maintain POC with emphasis on",
+  "Continue intervention focus on",
+  "Advance POC with continued emphasis on",
+];
+
+// PT and OT share the same anchors (and coercion sentence) as before the registry existed.
+const MOBILITY_ANCHORS = {
+  terms: ["adls", "functional mobility", "gait", "transfers", "balance", "stairs"],
+  label: "ADLs/gait/transfers/balance/stairs/functional mobility",
+  fallbackSentence:
+    "Pt requires skilled training to improve functional mobility and carryover to ADLs.",
+};
+
+const DISCIPLINES = {
+  PT: {
+    id: "PT",
+    label: "Physical Therapy",
+    introPrefixes: SUMMARY_INTRO_PREFIXES,
+    closers: SUMMARY_CLOSERS,
+    pocOpeners: POC_OPENERS,
+    slots: { intro: "intro", closer: "closePT", poc: "pocPT" },
+    closingPhrase: "Continued skilled PT remains indicated",
+    pocHeader: "PT POC:",
+    pocContent:
+      "TherEx, TherAct, MT, functional training, fall/safety, injury prevention to meet goals.",
+    anchors: MOBILITY_ANCHORS,
+    templates: PT_TEMPLATES,
+    contentPass: "muscle",
+  },
+  OT: {
+    id: "OT",
+    label: "Occupational Therapy",
+    introPrefixes: SUMMARY_INTRO_PREFIXES,
+    closers: OT_SUMMARY_CLOSERS,
+    pocOpeners: OT_POC_OPENERS,
+    slots: { intro: "intro", closer: "closeOT", poc: "pocOT" },
+    closingPhrase: "Continued skilled OT remains indicated",
+    pocHeader: "OT POC:",
+    pocContent:
+      "TherAct, ADL training, functional training, UE function/coordination, safety/energy conservation, injury prevention to meet goals.",
+    anchors: MOBILITY_ANCHORS,
+    templates: OT_TEMPLATES,
+    contentPass: "content",
+  },
+  SLP: {
+    id: "SLP",
+    label: "Speech-Language Pathology",
+    introPrefixes: SLP_SUMMARY_INTRO_PREFIXES,
+    closers: SLP_SUMMARY_CLOSERS,
+    pocOpeners: SLP_POC_OPENERS,
+    slots: { intro: "introSLP", closer: "closeSLP", poc: "pocSLP" },
+    closingPhrase: "Continued skilled SLP remains indicated",
+    pocHeader: "SLP POC:",
+    pocContent:
+      "dysphagia tx, compensatory swallow strategy training, speech/language tx, cognitive-communication tx, pt/caregiver education, aspiration precautions/safety to meet goals.",
+    anchors: {
+      terms: [
+        "swallow",
+        "po intake",
+        "diet",
+        "mealtime",
+        "communication",
+        "comprehension",
+        "word-finding",
+        "cognition",
+        "safety awareness",
+        "adls",
+      ],
+      label: "swallow safety/PO intake/diet/functional communication/cognition/ADLs",
+      fallbackSentence:
+        "Pt requires skilled training to improve swallow safety and functional communication carryover to ADLs.",
+    },
+    templates: SLP_TEMPLATES,
+    contentPass: "content",
+  },
+};
+
+const DISCIPLINE_ALIASES = {
+  ST: "SLP",
+  SPEECH: "SLP",
+  "SPEECH THERAPY": "SLP",
+};
+
+// Unknown values fall back to PT (historical default).
+function normalizeDiscipline(d) {
+  const s = String(d || "PT")
+    .toUpperCase()
+    .trim();
+  const id = DISCIPLINE_ALIASES[s] || s;
+  return DISCIPLINES[id] ? id : "PT";
+}
+
+function getDiscipline(d) {
+  return DISCIPLINES[normalizeDiscipline(d)];
+}
+
+function listDisciplines() {
+  return Object.values(DISCIPLINES);
+}
+
+// Every closing phrase across disciplines (coercion strips any of them before appending the closer).
+const ALL_CLOSING_PHRASES = Object.values(DISCIPLINES).map((d) => d.closingPhrase);
+
+export {
+  DISCIPLINES,
+  ALL_CLOSING_PHRASES,
+  SUMMARY_INTRO_PREFIXES,
+  normalizeDiscipline,
+  getDiscipline,
+  listDisciplines,
+};
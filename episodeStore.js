@@ -0,0 +1,393 @@
+// ======================= episodeStore.js =======================
+// Patients, episodes of care, evaluations and visits (the backbone for progress reports,
+// goal tracking and recerts).
+//
+// File shape (DATA_DIR/episodes.json):
+//  {
+//    "patients":    { "<id>": { id, label, createdAt, updatedAt, createdBy } },
+//    "episodes":    { "<id>": { id, patientId, discipline, status, diagnosis, startDate, endDate,
+//                               createdAt, updatedAt, createdBy } },
+//    "evaluations": { "<id>": { id, episodeId, patientId, discipline, templateName, form,
+//                               source, auditId, createdAt, createdBy } },
+//    "visits":      { "<id>": { id, episodeId, patientId, discipline, date, note, sections,
+//                               phrases, outcome, mode, billing, source, auditId,
+//                               createdAt, createdBy } }
+//  }
+//
+// Patient ids are pseudonymous ("pt_" + random); `label` is the clinic's own display label
+// (e.g. "Patient #1" or a chart number) and should not be a name.
+// Episode status: "open" | "closed". Evaluations and visits can only be added to open episodes
+// of the same discipline. source: "extract" | "generate" | "manual".
+//
+// Reads take an optional `userId` scope: only patients that user created or documented on
+// (created one of their episodes, evaluations or visits), and those patients' records.
+
+import crypto from "crypto";
+import { createJsonFileStore } from "./jsonStore.js";
+
+const EPISODE_STATUSES = ["open", "closed"];
+const RECORD_SOURCES = ["extract", "generate", "manual"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function episodeError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString("hex")}`;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function readDate(value, field) {
+  if (value == null || value === "") return null;
+  const s = String(value).trim();
+  if (!DATE_RE.test(s) || Number.isNaN(Date.parse(s))) {
+    throw episodeError(400, `${field} must be a date (YYYY-MM-DD).`);
+  }
+  return s;
+}
+
+function byCreated(a, b) {
+  return String(a.createdAt).localeCompare(String(b.createdAt));
+}
+
+// Visits in treatment order (visit date, then when they were saved).
+function byVisitDate(a, b) {
+  return String(a.date).localeCompare(String(b.date)) || byCreated(a, b);
+}
+
+function createEpisodeStore({ filePath }) {
+  const store = createJsonFileStore(filePath, {
+    patients: {},
+    episodes: {},
+    evaluations: {},
+    visits: {},
+  });
+
+  function tables(data) {
+    data.patients ||= {};
+    data.episodes ||= {};
+    data.evaluations ||= {};
+    data.visits ||= {};
+    return data;
+  }
+
+  function mustFind(table, id, what) {
+    const row = table[id];
+    if (!row) throw episodeError(404, `${what} not found: ${id}`);
+    return row;
+  }
+
+  // The episode an evaluation / visit is added to: must be open and of the same discipline.
+  function openEpisode(data, episodeId, discipline) {
+    const episode = mustFind(data.episodes, episodeId, "Episode");
+    if (episode.status !== "open") throw episodeError(409, `Episode ${episodeId} is closed.`);
+    if (discipline && episode.discipline !== discipline) {
+      throw episodeError(
+        409,
+        `Episode ${episodeId} belongs to ${episode.discipline}, not ${discipline}.`
+      );
+    }
+    return episode;
+  }
+
+  // Patient ids visible to userId; null (no scope) when userId is not given at all, and no
+  // patients for a null userId (an unauthenticated caller).
+  function patientsInScope(data, userId) {
+    if (userId === undefined) return null;
+    const ids = new Set();
+    if (userId === null) return ids;
+    for (const p of Object.values(data.patients)) if (p.createdBy === userId) ids.add(p.id);
+    for (const table of [data.episodes, data.evaluations, data.visits]) {
+      for (const row of Object.values(table)) if (row.createdBy === userId) ids.add(row.patientId);
+    }
+    return ids;
+  }
+
+  const inScope = (scope, patientId) => !scope || scope.has(patientId);
+
+  function readSource(source) {
+    const s = source || "manual";
+    if (!RECORD_SOURCES.includes(s)) {
+      throw episodeError(400, `source must be one of: ${RECORD_SOURCES.join(", ")}.`);
+    }
+    return s;
+  }
+
+  // ---------------- Patients ----------------
+
+  function createPatient({ label, createdBy }) {
+    return store.update((data) => {
+      tables(data);
+      const now = new Date().toISOString();
+      const patient = {
+        id: newId("pt"),
+        label: label || null,
+        createdAt: now,
+        updatedAt: now,
+        createdBy: createdBy || null,
+      };
+      data.patients[patient.id] = patient;
+      return patient;
+    });
+  }
+
+  function updatePatient({ id, label }) {
+    return store.update((data) => {
+      const patient = mustFind(tables(data).patients, id, "Patient");
+      if (label !== undefined) patient.label = label || null;
+      patient.updatedAt = new Date().toISOString();
+      return patient;
+    });
+  }
+
+  function listPatients({ q, userId } = {}) {
+    const data = tables(store.read());
+    const scope = patientsInScope(data, userId);
+    const needle = String(q || "").toLowerCase();
+    return Object.values(data.patients)
+      .filter((p) => inScope(scope, p.id))
+      .filter((p) => !needle || `${p.id} ${p.label || ""}`.toLowerCase().includes(needle))
+      .sort(byCreated)
+      .map((p) => {
+        const episodes = Object.values(data.episodes).filter((e) => e.patientId === p.id);
+        return {
+          ...p,
+          episodeCount: episodes.length,
+          openEpisodes: episodes.filter((e) => e.status === "open").length,
+        };
+      });
+  }
+
+  // A patient with their episodes (newest first).
+  function getPatient(id, { userId } = {}) {
+    const data = tables(store.read());
+    const patient = data.patients[id];
+    if (!patient || !inScope(patientsInScope(data, userId), id)) return null;
+    return {
+      ...patient,
+      episodes: Object.values(data.episodes)
+        .filter((e) => e.patientId === id)
+        .sort(byCreated)
+        .reverse(),
+    };
+  }
+
+  // ---------------- Episodes ----------------
+
+  function createEpisode({ patientId, discipline, diagnosis, startDate, createdBy }) {
+    const start = readDate(startDate, "startDate") || today();
+    return store.update((data) => {
+      tables(data);
+      mustFind(data.patients, patientId, "Patient");
+      const now = new Date().toISOString();
+      const episode = {
+        id: newId("ep"),
+        patientId,
+        discipline,
+        status: "open",
+        diagnosis: diagnosis || null,
+        startDate: start,
+        endDate: null,
+        createdAt: now,
+        updatedAt: now,
+        createdBy: createdBy || null,
+      };
+      data.episodes[episode.id] = episode;
+      return episode;
+    });
+  }
+
+  // Closing sets endDate (today unless given); reopening clears it.
+  function updateEpisode({ id, status, diagnosis, endDate }) {
+    if (status != null && !EPISODE_STATUSES.includes(status)) {
+      throw episodeError(400, `status must be one of: ${EPISODE_STATUSES.join(", ")}.`);
+    }
+    const end = endDate === undefined ? undefined : readDate(endDate, "endDate");
+    return store.update((data) => {
+      const episode = mustFind(tables(data).episodes, id, "Episode");
+      if (diagnosis !== undefined) episode.diagnosis = diagnosis || null;
+      if (status != null) episode.status = status;
+      if (episode.status === "closed") episode.endDate = end || episode.endDate || today();
+      else episode.endDate = null;
+      if (episode.endDate && episode.endDate < episode.startDate) {
+        throw episodeError(400, "endDate must not be before startDate.");
+      }
+      episode.updatedAt = new Date().toISOString();
+      return episode;
+    });
+  }
+
+  function listEpisodes({ patientId, discipline, status, userId } = {}) {
+    const data = tables(store.read());
+    const scope = patientsInScope(data, userId);
+    return Object.values(data.episodes)
+      .filter(
+        (e) =>
+          inScope(scope, e.patientId) &&
+          (!patientId || e.patientId === patientId) &&
+          (!discipline || e.discipline === discipline) &&
+          (!status || e.status === status)
+      )
+      .sort(byCreated)
+      .map((e) => ({
+        ...e,
+        evaluationCount: Object.values(data.evaluations).filter((v) => v.episodeId === e.id).length,
+        visitCount: Object.values(data.visits).filter((v) => v.episodeId === e.id).length,
+      }));
+  }
+
+  // An episode with its patient, evaluations (oldest first) and visits (by visit date).
+  function getEpisode(id, { userId } = {}) {
+    const data = tables(store.read());
+    const episode = data.episodes[id];
+    if (!episode || !inScope(patientsInScope(data, userId), episode.patientId)) return null;
+    return {
+      ...episode,
+      patient: data.patients[episode.patientId] || null,
+      evaluations: Object.values(data.evaluations)
+        .filter((v) => v.episodeId === id)
+        .sort(byCreated),
+      visits: Object.values(data.visits)
+        .filter((v) => v.episodeId === id)
+        .sort(byVisitDate),
+    };
+  }
+
+  // Throws (404 / 409) when an evaluation or visit could not be added to the episode.
+  function assertOpenEpisode(episodeId, discipline) {
+    return openEpisode(tables(store.read()), episodeId, discipline);
+  }
+
+  // ---------------- Evaluations + visits ----------------
+
+  function addEvaluation({
+    episodeId,
+    discipline,
+    templateName,
+    form,
+    source,
+    auditId,
+    createdBy,
+  }) {
+    if (!form || typeof form !== "object" || Array.isArray(form)) {
+      throw episodeError(400, "form must be an object.");
+    }
+    const from = readSource(source);
+    return store.update((data) => {
+      const episode = openEpisode(tables(data), episodeId, discipline);
+      const evaluation = {
+        id: newId("ev"),
+        episodeId,
+        patientId: episode.patientId,
+        discipline: episode.discipline,
+        templateName: templateName || null,
+        form,
+        source: from,
+        auditId: auditId || null,
+        createdAt: new Date().toISOString(),
+        createdBy: createdBy || null,
+      };
+      data.evaluations[evaluation.id] = evaluation;
+      episode.updatedAt = evaluation.createdAt;
+      return evaluation;
+    });
+  }
+
+  function addVisit({
+    episodeId,
+    discipline,
+    date,
+    note,
+    sections,
+    phrases,
+    outcome,
+    mode,
+    billing,
+    source,
+    auditId,
+    createdBy,
+  }) {
+    if (!String(note || "").trim()) throw episodeError(400, "note is required.");
+    const visitDate = readDate(date, "date") || today();
+    const from = readSource(source);
+    return store.update((data) => {
+      const episode = openEpisode(tables(data), episodeId, discipline);
+      if (visitDate < episode.startDate) {
+        throw episodeError(
+          400,
+          `date must not be before the episode start (${episode.startDate}).`
+        );
+      }
+      const visit = {
+        id: newId("vs"),
+        episodeId,
+        patientId: episode.patientId,
+        discipline: episode.discipline,
+        date: visitDate,
+        note,
+        sections: sections || null,
+        phrases: phrases || null,
+        outcome: outcome || null,
+        mode: mode || null,
+        billing: billing || null,
+        source: from,
+        auditId: auditId || null,
+        createdAt: new Date().toISOString(),
+        createdBy: createdBy || null,
+      };
+      data.visits[visit.id] = visit;
+      episode.updatedAt = visit.createdAt;
+      return visit;
+    });
+  }
+
+  function listEvaluations({ episodeId, patientId, userId } = {}) {
+    const data = tables(store.read());
+    const scope = patientsInScope(data, userId);
+    return Object.values(data.evaluations)
+      .filter(
+        (v) =>
+          inScope(scope, v.patientId) &&
+          (!episodeId || v.episodeId === episodeId) &&
+          (!patientId || v.patientId === patientId)
+      )
+      .sort(byCreated);
+  }
+
+  function listVisits({ episodeId, patientId, userId } = {}) {
+    const data = tables(store.read());
+    const scope = patientsInScope(data, userId);
+    return Object.values(data.visits)
+      .filter(
+        (v) =>
+          inScope(scope, v.patientId) &&
+          (!episodeId || v.episodeId === episodeId) &&
+          (!patientId || v.patientId === patientId)
+      )
+      .sort(byVisitDate);
+  }
+
+  return {
+    createPatient,
+    updatePatient,
+    listPatients,
+    getPatient,
+    createEpisode,
+    updateEpisode,
+    listEpisodes,
+    getEpisode,
+    assertOpenEpisode,
+    addEvaluation,
+    addVisit,
+    listEvaluations,
+    listVisits,
+  };
+}
+
+export { EPISODE_STATUSES, createEpisodeStore };
@@ -0,0 +1,261 @@
+// ======================= factGuard.js =======================
+// Local no-hallucination guard for visit notes.
+//
+// Extracts clinical facts from generated text and flags any that do not appear in the
+// clinician's userText:
+//  - pain     "5/10"
+//  - mmt      "4+/5"
+//  - vitals   BP "120/80", HR/RR/SpO2/temp values
+//  - degrees  "110°", "110 deg"
+//  - assist   min A / mod A / max A / CGA / SBA / supervision / mod I / total A
+//  - device   FWW / RW / SPC / quad cane / AFO / reacher / ...
+//  - number   any other number (sets/reps/minutes/feet/...)
+//
+// Violations use the same shape as server.js validators:
+//  { rule: "facts.<type>", severity: "error", message, section, span: { start, end, text } }
+
+const WORD_NUMBERS = {
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  fifteen: 15,
+  twenty: 20,
+  thirty: 30,
+};
+
+// Longest/most specific patterns first; earlier matches claim their text span.
+const ASSIST_PATTERNS = [
+  [/\bmod(?:ified)?\s*(?:I|indep(?:endent|endence)?)\b/gi, "mod I"],
+  [/\bmin(?:imal)?\s*(?:A|assist(?:ance)?)\b/gi, "min A"],
+  [/\bmod(?:erate)?\s*(?:A|assist(?:ance)?)\b/gi, "mod A"],
+  [/\bmax(?:imal|imum)?\s*(?:A|assist(?:ance)?)\b/gi, "max A"],
+  [/\b(?:total\s*(?:A|assist(?:ance)?)|dependent)\b/gi, "total A"],
+  [/\b(?:CGA|contact[-\s]guard(?:\s*assist(?:ance)?)?)\b/gi, "CGA"],
+  [/\b(?:SBA|stand[-\s]?by\s*assist(?:ance)?)\b/gi, "SBA"],
+  [/\bsupervision\b/gi, "supervision"],
+];
+
+const DEVICE_PATTERNS = [
+  [/\b(?:FWW|front[-\s]wheeled\s+walker|2WW)\b/gi, "FWW"],
+  [/\b(?:4WW|rollator)\b/gi, "rollator"],
+  [/\b(?:RW|rolling\s+walker)\b/gi, "RW"],
+  [/\bwalker\b/gi, "walker"],
+  [/\b(?:quad\s+cane|QC|LBQC|SBQC)\b/gi, "quad cane"],
+  [/\b(?:SPC|single[-\s]point\s+cane)\b/gi, "SPC"],
+  [/\bcane\b/gi, "cane"],
+  [/\bcrutch(?:es)?\b/gi, "crutches"],
+  [/\b(?:wheelchair|w\/c)(?=\W|$)/gi, "wheelchair"],
+  [/\bAFO\b/gi, "AFO"],
+  [/\bbrace\b/gi, "brace"],
+  [/\bsplint\b/gi, "splint"],
+  [/\bsling\b/gi, "sling"],
+  [/\bgait\s+belt\b/gi, "gait belt"],
+  [/\breacher\b/gi, "reacher"],
+  [/\bsock\s+aid\b/gi, "sock aid"],
+  [/\b(?:tub\s+(?:transfer\s+)?bench|shower\s+chair)\b/gi, "tub bench"],
+  [/\bgrab\s+bars?\b/gi, "grab bars"],
+  [/\b(?:BSC|bedside\s+commode)\b/gi, "BSC"],
+  [/\braised\s+toilet\s+seat\b/gi, "raised toilet seat"],
+  [/\bTENS\b/gi, "TENS"],
+  [/\bthera-?band\b/gi, "theraband"],
+  [/\bAAC\b/gi, "AAC"],
+  [/\bPassy[-\s]Muir\b/gi, "Passy-Muir valve"],
+];
+
+const VITAL_PATTERNS = [
+  [/\b(?:HR|pulse)\s*(?:of|=|:)?\s*(\d{2,3})\b/gi, "HR"],
+  [/\b(\d{2,3})\s*bpm\b/gi, "HR"],
+  [/\b(?:SpO2|O2\s*sat(?:uration)?|sats?)\s*(?:of|=|:)?\s*(\d{2,3})\s*%?/gi, "SpO2"],
+  [/\bRR\s*(?:of|=|:)?\s*(\d{1,2})\b/gi, "RR"],
+  [/\b(?:temp(?:erature)?)\s*(?:of|=|:)?\s*(\d{2,3}(?:\.\d)?)\b/gi, "temp"],
+];
+
+function normalizeNumber(n) {
+  const v = Number(n);
+  return Number.isFinite(v) ? String(v) : String(n);
+}
+
+function sectionAt(text, index) {
+  const t = String(text || "");
+  const summaryIdx = t.search(/^Summary\s*$/m);
+  const pocIdx = t.search(/^POC\s*$/m);
+  if (pocIdx >= 0 && index > pocIdx) return "poc";
+  if (summaryIdx >= 0 && index > summaryIdx) return "summary";
+  if (/^Subjective\s*$/m.test(t)) return "subjective";
+  return null;
+}
+
+/**
+ * Extract facts from free text.
+ * Returns [{ type, value, text, start, end }] where value is the normalized comparison key.
+ */
+function extractClinicalFacts(text) {
+  const t = String(text || "");
+  const facts = [];
+  const taken = [];
+
+  const overlaps = (start, end) => taken.some(([a, b]) => start < b && end > a);
+  const claim = (type, value, start, str) => {
+    const end = start + str.length;
+    if (overlaps(start, end)) return;
+    taken.push([start, end]);
+    facts.push({ type, value, text: str, start, end });
+  };
+
+  for (const m of t.matchAll(/\b(\d{1,2}(?:\.\d)?)\s*\/\s*10\b/g)) {
+    claim("pain", `${normalizeNumber(m[1])}/10`, m.index, m[0]);
+  }
+  for (const m of t.matchAll(/\b([0-5][+-]?)\s*\/\s*5\b/g)) {
+    claim("mmt", `${m[1]}/5`, m.index, m[0]);
+  }
+  for (const m of t.matchAll(/\b(?:BP\s*(?:of|=|:)?\s*)?(\d{2,3})\s*\/\s*(\d{2,3})\b/gi)) {
+    claim("vitals", `BP ${m[1]}/${m[2]}`, m.index, m[0]);
+  }
+  for (const [re, label] of VITAL_PATTERNS) {
+    for (const m of t.matchAll(re)) claim("vitals", `${label} ${normalizeNumber(m[1])}`, m.index, m[0]);
+  }
+  for (const m of t.matchAll(/\b(\d{1,3})\s*(?:°|deg(?:rees?)?\b)/gi)) {
+    claim("degrees", normalizeNumber(m[1]), m.index, m[0]);
+  }
+  for (const [re, label] of ASSIST_PATTERNS) {
+    for (const m of t.matchAll(re)) claim("assist", label, m.index, m[0]);
+  }
+  for (const [re, label] of DEVICE_PATTERNS) {
+    for (const m of t.matchAll(re)) claim("device", label, m.index, m[0]);
+  }
+  for (const m of t.matchAll(/\d+(?:\.\d+)?/g)) {
+    claim("number", normalizeNumber(m[0]), m.index, m[0]);
+  }
+
+  return facts.sort((a, b) => a.start - b.start);
+}
+
+// Everything the source text supports, by type (numbers include spelled-out words).
+function collectSupport(sourceText) {
+  const src = String(sourceText || "");
+  const support = {
+    pain: new Set(),
+    mmt: new Set(),
+    vitals: new Set(),
+    assist: new Set(),
+    device: new Set(),
+    numbers: new Set(),
+  };
+
+  for (const f of extractClinicalFacts(src)) {
+    if (support[f.type]) support[f.type].add(f.value);
+  }
+  for (const m of src.matchAll(/\d+(?:\.\d+)?/g)) support.numbers.add(normalizeNumber(m[0]));
+  for (const m of src.toLowerCase().matchAll(/\b[a-z]+\b/g)) {
+    if (WORD_NUMBERS[m[0]] != null) support.numbers.add(String(WORD_NUMBERS[m[0]]));
+  }
+  // A generic "walker" in the note is supported by any specific walker in the source.
+  if (["FWW", "RW", "rollator"].some((d) => support.device.has(d))) support.device.add("walker");
+  if (["SPC", "quad cane"].some((d) => support.device.has(d))) support.device.add("cane");
+
+  return support;
+}
+
+function isSupported(fact, support) {
+  switch (fact.type) {
+    case "pain":
+    case "mmt":
+    case "assist":
+    case "device":
+      return support[fact.type].has(fact.value);
+    case "vitals": {
+      if (support.vitals.has(fact.value)) return true;
+      // Labels differ in dictation ("pulse 80" vs "HR 80"): accept when every number is present.
+      const nums = fact.value.match(/\d+(?:\.\d+)?/g) || [];
+      return nums.length > 0 && nums.every((n) => support.numbers.has(normalizeNumber(n)));
+    }
+    case "degrees":
+    case "number":
+      return support.numbers.has(fact.value);
+    default:
+      return true;
+  }
+}
+
+const FACT_LABELS = {
+  pain: "pain rating",
+  mmt: "MMT grade",
+  vitals: "vital sign",
+  degrees: "ROM degrees",
+  assist: "assist level",
+  device: "device",
+  number: "number",
+};
+
+/**
+ * Compare a generated note against the userText it was generated from.
+ * Returns { ok, reason?, violations, unsupported }.
+ */
+function findUnsupportedFacts({ text, userText }) {
+  const note = String(text || "");
+  const support = collectSupport(userText);
+
+  const unsupported = extractClinicalFacts(note).filter((f) => !isSupported(f, support));
+
+  const violations = unsupported.map((f) => ({
+    rule: `facts.${f.type}`,
+    severity: "error",
+    message: `Unsupported ${FACT_LABELS[f.type] || f.type} not found in user instruction: "${f.text}".`,
+    section: sectionAt(note, f.start),
+    span: { start: f.start, end: f.end, text: f.text },
+  }));
+
+  return violations.length
+    ? { ok: false, reason: violations[0].message, violations, unsupported }
+    : { ok: true, violations: [], unsupported: [] };
+}
+
+// A removed number takes its unit along ("150 ft" -> "", not "ft").
+const NUMBER_UNIT_RE =
+  /^[ \t]*(?:x(?=[ \t\d])|ft\b|feet\b|reps?\b|sets?\b|min(?:utes?)?\b|sec(?:onds?)?\b|lbs?\b|%)/i;
+const CUT = "\u0000";
+
+// What a cut leaves behind on its line: empty parentheses, a dangling preposition, stray spaces.
+function tidyCutLine(line) {
+  return line
+    .split(CUT)
+    .join("")
+    .replace(/\([ \t]*\)/g, "")
+    .replace(/[ \t]+([,.;:])/g, "$1")
+    .replace(/[ \t]+(?:with|at|of|for|to|on|using|x)(?=[,.;:])/gi, "")
+    .replace(/,[ \t]*(?=[.;])/g, "")
+    .replace(/[ \t]{2,}/g, " ");
+}
+
+/**
+ * Remove unsupported facts locally: only each fact's own span (plus a number's unit) is cut,
+ * by its offsets, so other mentions of the same text and the rest of the sentence stay.
+ * The caller re-validates (and coerces if needed) afterwards.
+ */
+function stripUnsupportedFacts(text, unsupported) {
+  const note = String(text || "");
+  if (!unsupported?.length) return note;
+
+  let out = note;
+  for (const f of [...unsupported].sort((a, b) => b.start - a.start)) {
+    if (out.slice(f.start, f.end) !== f.text) continue;
+    const unit = f.type === "number" ? out.slice(f.end).match(NUMBER_UNIT_RE)?.[0] || "" : "";
+    out = `${out.slice(0, f.start)}${CUT}${out.slice(f.end + unit.length)}`;
+  }
+
+  return out
+    .split("\n")
+    .map((line) => (line.includes(CUT) ? tidyCutLine(line) : line))
+    .join("\n");
+}
+
+export { extractClinicalFacts, findUnsupportedFacts, stripUnsupportedFacts };
@@ -0,0 +1,118 @@
+// ======================= jsonStore.js =======================
+// Tiny JSON-file persistence used by the server's durable stores.
+//
+// - Reads from disk on every call so several server instances sharing DATA_DIR stay in sync.
+// - update() holds <file>.lock (created exclusively) for its read-modify-write, so instances
+//   never overwrite each other's changes; a lock older than LOCK_STALE_MS (crashed holder) is
+//   taken over, and waiting longer than LOCK_TIMEOUT_MS fails with a 503.
+// - Writes go to a temp file first and are renamed into place (no half-written JSON on crash).
+// - A file that does not parse is moved aside to <file>.corrupt-<timestamp> (never overwritten)
+//   and the store starts again from its defaults.
+
+import fs from "fs";
+import path from "path";
+
+const LOCK_STALE_MS = 10_000;
+const LOCK_TIMEOUT_MS = 5_000;
+const LOCK_RETRY_MS = 10;
+
+function cloneDefaults(defaults) {
+  return defaults == null ? null : JSON.parse(JSON.stringify(defaults));
+}
+
+function storeError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Synchronous pause between lock attempts (stores are synchronous end to end).
+function pause(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function createJsonFileStore(filePath, defaults = {}) {
+  const lockPath = `${filePath}.lock`;
+
+  function moveAside(err) {
+    const aside = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+    try {
+      fs.renameSync(filePath, aside);
+      console.error(`❌ Could not parse ${filePath}; moved it to ${aside}.`, err?.message || err);
+    } catch (renameErr) {
+      // Another reader moved it first.
+      if (renameErr?.code !== "ENOENT") throw renameErr;
+    }
+  }
+
+  function read() {
+    let raw;
+    try {
+      raw = fs.readFileSync(filePath, "utf8");
+    } catch (err) {
+      if (err?.code !== "ENOENT") throw err;
+      return cloneDefaults(defaults);
+    }
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      moveAside(err);
+      return cloneDefaults(defaults);
+    }
+  }
+
+  function write(data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, filePath);
+    return data;
+  }
+
+  function lock() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        return fs.openSync(lockPath, "wx");
+      } catch (err) {
+        if (err?.code !== "EEXIST") throw err;
+      }
+      try {
+        if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+          fs.rmSync(lockPath, { force: true });
+          continue;
+        }
+      } catch (err) {
+        if (err?.code === "ENOENT") continue; // released meanwhile
+        throw err;
+      }
+      if (Date.now() > deadline) {
+        throw storeError(503, `${path.basename(filePath)} is busy (locked by another writer).`);
+      }
+      pause(LOCK_RETRY_MS);
+    }
+  }
+
+  function unlock(fd) {
+    fs.closeSync(fd);
+    fs.rmSync(lockPath, { force: true });
+  }
+
+  // Read-modify-write under the file lock; the mutator may change data in place and return any value.
+  function update(mutate) {
+    const fd = lock();
+    try {
+      const data = read();
+      const result = mutate(data);
+      write(data);
+      return result;
+    } finally {
+      unlock(fd);
+    }
+  }
+
+  return { filePath, read, write, update };
+}
+
+export { createJsonFileStore };
@@ -0,0 +1,253 @@
+// ======================= llm.js =======================
+// Pluggable LLM provider layer shared by server.js and aisummary.js
+//
+// Providers:
+//  - openai : OpenAI, or any OpenAI-compatible server via OPENAI_BASE_URL
+//  - mock   : deterministic scripted responses (no network, no key)
+//
+// Provider interface:
+//  provider.name   -> "openai" | "mock"
+//  provider.model  -> default model name
+//  await provider.chat({ messages, temperature?, maxTokens?, responseFormat?, signal? })
+//    -> { text, usage, raw }
+//  await provider.chatStream({ messages, temperature?, maxTokens?, onToken, signal? })
+//    -> { text, usage, raw }   (onToken(delta) is called as text arrives)
+//  signal (AbortSignal) cancels the call; timeouts/retries live in resilience.js.
+//
+// Mock script JSON (MOCK_LLM_SCRIPT or createMockProvider({ script })):
+//  {
+//    "responses": [
+//      "plain text (consumed in order)",
+//      { "text": "...", "match": "regex tested against the prompt", "times": 1 },
+//      { "error": "Rate limited", "status": 429 },
+//      { "text": "slow answer", "delayMs": 5000 }
+//    ],
+//    "default": "text used once the script is exhausted"
+//  }
+//  - Entries with "match" are rules: the first matching rule wins (until "times" runs out).
+//    Their text may use $1..$9 to echo capture groups from the match (e.g. a required prefix).
+//  - Entries without "match" form a FIFO queue used when no rule matches.
+//  - "error" entries throw instead of answering (status is copied onto the error).
+//  - "delayMs" waits before answering (or failing); the wait ends early when signal aborts.
+//
+// ENV:
+//  LLM_PROVIDER (optional, "openai" | "mock", default openai)
+//  OPENAI_API_KEY (required for openai unless OPENAI_BASE_URL is set)
+//  OPENAI_MODEL (optional, default gpt-4o-mini)
+//  OPENAI_BASE_URL (optional, OpenAI-compatible local server)
+//  MOCK_LLM_SCRIPT (optional, path to a mock script JSON file)
+
+import fs from "fs";
+import OpenAI from "openai";
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+
+// --------------------------------------------------
+// OpenAI adapter
+// --------------------------------------------------
+
+function createOpenAIProvider({ apiKey = "", model = DEFAULT_MODEL, baseURL = "", maxRetries } = {}) {
+  // OpenAI-compatible local servers usually ignore the key, but the SDK requires one.
+  const client = new OpenAI({
+    apiKey: apiKey || "local",
+    ...(baseURL ? { baseURL } : {}),
+    ...(maxRetries != null ? { maxRetries } : {}),
+  });
+
+  return {
+    name: "openai",
+    model,
+    async chat({ messages, temperature, maxTokens, responseFormat, model: modelOverride, signal } = {}) {
+      const completion = await client.chat.completions.create(
+        {
+          model: modelOverride || model,
+          messages,
+          ...(temperature != null ? { temperature } : {}),
+          ...(maxTokens ? { max_tokens: maxTokens } : {}),
+          ...(responseFormat ? { response_format: responseFormat } : {}),
+        },
+        signal ? { signal } : undefined
+      );
+
+      return {
+        text: completion.choices?.[0]?.message?.content || "",
+        usage: completion.usage || null,
+        raw: completion,
+      };
+    },
+    async chatStream({ messages, temperature, maxTokens, model: modelOverride, onToken, signal } = {}) {
+      const stream = await client.chat.completions.create(
+        {
+          model: modelOverride || model,
+          messages,
+          stream: true,
+          stream_options: { include_usage: true },
+          ...(temperature != null ? { temperature } : {}),
+          ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        },
+        signal ? { signal } : undefined
+      );
+
+      let text = "";
+      let usage = null;
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta?.content || "";
+        if (delta) {
+          text += delta;
+          onToken?.(delta);
+        }
+        if (chunk.usage) usage = chunk.usage;
+      }
+
+      return { text, usage, raw: null };
+    },
+  };
+}
+
+// --------------------------------------------------
+// Mock adapter (deterministic, offline)
+// --------------------------------------------------
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function normalizeMockEntry(entry) {
+  if (typeof entry === "string") return { text: entry };
+  if (!entry || typeof entry !== "object") return { text: "" };
+  return { ...entry };
+}
+
+function mockDelay(ms, signal) {
+  if (!(ms > 0)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason || new Error("Aborted"));
+      },
+      { once: true }
+    );
+  });
+}
+
+function loadMockScript(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  return JSON.parse(raw);
+}
+
+function createMockProvider({ script = [], model = "mock" } = {}) {
+  const normalized = Array.isArray(script) ? { responses: script } : script || {};
+
+  const rules = [];
+  const queue = [];
+  for (const entry of normalized.responses || []) {
+    const e = normalizeMockEntry(entry);
+    if (e.match) rules.push({ ...e, re: new RegExp(e.match, "i") });
+    else queue.push(e);
+  }
+
+  // Every call is recorded so tests can assert on prompts and call counts.
+  const calls = [];
+
+  function nextEntry(prompt) {
+    for (const r of rules) {
+      if (r.times != null && r.times <= 0) continue;
+      const m = prompt.match(r.re);
+      if (!m) continue;
+      if (r.times != null) r.times -= 1;
+      return r.text == null ? r : { ...r, text: String(r.text).replace(/\$(\d)/g, (_, i) => m[i] ?? "") };
+    }
+    if (queue.length) return queue.shift();
+    return null;
+  }
+
+  const provider = {
+    name: "mock",
+    model,
+    calls,
+    async chat({ messages = [], temperature, maxTokens, responseFormat, signal } = {}) {
+      const prompt = messages.map((m) => String(m?.content || "")).join("\n\n");
+      calls.push({ messages, temperature, maxTokens, responseFormat });
+
+      const entry = nextEntry(prompt);
+      await mockDelay(entry?.delayMs, signal);
+
+      if (entry?.error) {
+        const err = new Error(String(entry.error));
+        if (entry.status != null) err.status = entry.status;
+        throw err;
+      }
+
+      let text;
+      if (entry) text = String(entry.text ?? "");
+      else if (normalized.default != null) text = String(normalized.default);
+      else text = responseFormat?.type === "json_object" ? "{}" : "";
+
+      const usage = {
+        prompt_tokens: estimateTokens(prompt),
+        completion_tokens: estimateTokens(text),
+        total_tokens: estimateTokens(prompt) + estimateTokens(text),
+      };
+
+      return { text, usage, raw: { mock: true, entry: entry || null } };
+    },
+    // Same scripted answer as chat(), replayed word by word.
+    async chatStream({ onToken, ...opts } = {}) {
+      const result = await provider.chat(opts);
+      for (const piece of result.text.match(/\S+\s*|\s+/g) || []) onToken?.(piece);
+      return result;
+    },
+  };
+
+  return provider;
+}
+
+// --------------------------------------------------
+// Selection
+// --------------------------------------------------
+
+function createProviderFromEnv(env = process.env) {
+  const name = String(env.LLM_PROVIDER || "openai").toLowerCase().trim();
+  const model = env.OPENAI_MODEL || DEFAULT_MODEL;
+
+  if (name === "mock") {
+    const script = env.MOCK_LLM_SCRIPT ? loadMockScript(env.MOCK_LLM_SCRIPT) : [];
+    return createMockProvider({ script, model: env.MOCK_LLM_MODEL || "mock" });
+  }
+
+  if (name !== "openai") {
+    throw new Error(`Unknown LLM_PROVIDER: ${name}`);
+  }
+
+  // server.js wraps the provider with its own timeouts/retries (resilience.js).
+  return createOpenAIProvider({
+    apiKey: env.OPENAI_API_KEY || "",
+    model,
+    baseURL: env.OPENAI_BASE_URL || "",
+    maxRetries: 0,
+  });
+}
+
+let activeProvider = null;
+
+function getProvider() {
+  if (!activeProvider) activeProvider = createProviderFromEnv(process.env);
+  return activeProvider;
+}
+
+// Swap the process-wide provider (tests, or switching models at runtime).
+function setProvider(provider) {
+  activeProvider = provider;
+  return activeProvider;
+}
+
+export {
+  createOpenAIProvider,
+  createMockProvider,
+  createProviderFromEnv,
+  getProvider,
+  setProvider,
+};
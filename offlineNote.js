@@ -0,0 +1,398 @@
+// ======================= offlineNote.js =======================
+// Deterministic, model-free visit note (POST /generate mode "offline", and the outage fallback).
+//
+// userText (clinician shorthand) is split into clauses (commas only where a new statement
+// starts) and each clause is placed by rule:
+//  - patient-reported clauses ("Pt reports ...", "c/o ...", "LBP 5/10", "shoulder pain")
+//                                          -> Subjective (one sentence)
+//  - clauses that already have a verb      -> "Pt ambulated with RW, requiring CGA." /
+//                                             "Pt educated on energy conservation." / "HEP reviewed."
+//  - assist-level clauses (ASSIST_LEVELS)  -> "Pt requires <assist> for <activity>."
+//  - intervention clauses (INTERVENTIONS)  -> "Pt completes ther-ex including bridges and clamshells."
+//  - short equipment / exercise fragments  -> "Tx includes pulleys."
+//  - anything else                         -> kept as its own sentence
+// The Summary opens with the rotated intro prefix + the topic focus, keeps 5-7 sentences
+// (extra clauses are joined with ";"), adds VC/TC and a functional anchor when the visit rules
+// need them, and ends with the rotated closer; the POC is the exact discipline template line.
+// Nothing is added that is not in userText except fixed skilled-care sentences.
+
+// Interventions recognized in userText (labels are reported back, not written into the note).
+// lead: verb for "Pt <lead> <clause>" (default "completes"; hands-on care is received).
+const INTERVENTIONS = [
+  { id: "therex", label: "ther-ex", re: /\bther[\s-]?ex\b|\btherapeutic exercise/i },
+  { id: "theract", label: "ther-act", re: /\bther[\s-]?act\b|\btherapeutic activit/i },
+  { id: "gait", label: "gait training", re: /\bgait\b|\bambulat/i },
+  { id: "balance", label: "balance training", re: /\bbalance\b/i },
+  {
+    id: "transfers",
+    label: "transfer training",
+    re: /\btransfers?\b|\bsit[\s-]?to[\s-]?stand\b|\bsts\b/i,
+  },
+  { id: "stairs", label: "stair training", re: /\bstairs?\b|\bsteps\b/i },
+  {
+    id: "bed_mobility",
+    label: "bed mobility training",
+    re: /\bbed mobility\b|\bsupine[\s-]?to[\s-]?sit\b/i,
+  },
+  {
+    id: "manual",
+    label: "MT",
+    lead: "receives",
+    re: /\b(?:mt|stm|iastm|manual therapy|mobs?|mobilizations?|manual stretch\w*|massage)\b/i,
+  },
+  { id: "neuro_reed", label: "neuro re-ed", re: /\bneuro[\s-]?re[\s-]?ed/i },
+  { id: "hep", label: "HEP", re: /\bhep\b|\bhome exercise/i },
+  {
+    id: "modalities",
+    label: "modalities",
+    lead: "receives",
+    re: /\b(?:e-?stim|tens|ultrasound|moist heat|mhp|cold pack|cp|ice|heat)\b/i,
+  },
+  { id: "education", label: "education", lead: "receives", re: /\beducat|\binstruct/i },
+  {
+    id: "adl",
+    label: "ADL training",
+    re: /\badls?\b|\b(?:ub|lb) dressing\b|\bdressing\b|\bgrooming\b|\bbathing\b|\btoileting\b|\bself-feeding\b|\bfeeding\b|\bmeal prep\b|\bhygiene\b/i,
+  },
+  {
+    id: "fine_motor",
+    label: "fine motor training",
+    re: /\bfine motor\b|\bputty\b|\bpegboard\b|\bgrip\b|\bpinch\b|\bin-hand\b|\bbuttons?\b|\bcoordination\b/i,
+  },
+  {
+    id: "adaptive_equipment",
+    label: "AE training",
+    re: /\bae\b|\badaptive equipment\b|\breacher\b|\bsock aid\b|\blong-handled\b/i,
+  },
+  {
+    id: "energy_conservation",
+    label: "energy conservation",
+    re: /\benergy conservation\b|\bwork simplification\b|\bjoint protection\b|\bpacing\b/i,
+  },
+  {
+    id: "dysphagia",
+    label: "dysphagia tx",
+    re: /\bdysphagia\b|\bswallow\w*|\bchin tuck\b|\bmasako\b|\bshaker\b|\bpo trials?\b|\bdiet\b/i,
+  },
+  {
+    id: "language",
+    label: "language tx",
+    re: /\blanguage\b|\bword[\s-]?finding\b|\bnaming\b|\baphasia\b|\bcomprehension\b/i,
+  },
+  { id: "speech", label: "speech tx", re: /\barticulation\b|\bdysarthria\b|\bintelligibility\b/i },
+  {
+    id: "cognitive",
+    label: "cognitive-communication tx",
+    re: /\bcognit\w*|\bmemory\b|\bproblem[\s-]solving\b|\battention\b|\borientation\b/i,
+  },
+  { id: "oral_motor", label: "oral motor tx", re: /\boral motor\b|\boral[\s-]?motor\b/i },
+];
+
+const ASSIST_LEVELS = [
+  ["Mod I", /\bmod(?:ified)?\s*(?:i|ind\w*)\b/i],
+  ["Indep", /\bindep(?:endent|endently)?\b/i],
+  ["SBA", /\bsba\b|\bstand[\s-]?by assist\b/i],
+  ["supervision", /\bsupervision\b|\bsup\b/i],
+  ["CGA", /\bcga\b|\bcontact guard(?: assist)?\b/i],
+  ["Min A", /\bmin\s*a\b|\bmin(?:imal)? assist\w*/i],
+  ["Mod A", /\bmod\s*a\b|\bmod(?:erate)? assist\w*/i],
+  ["Max A", /\bmax\s*a\b|\bmax(?:imal)? assist\w*/i],
+  ["Dep", /\bdep(?:endent)?\b|\btotal a(?:ssist\w*)?\b/i],
+];
+
+// Patient-reported verbs (each "Pt <verb>" is an allowed Subjective starter in server.js).
+const REPORT_RE =
+  /^(?:pt\s+)?(reports|states|notes|c\/o|c\/c of|verbalizes|expresses|denies|agrees|confirms)\b/i;
+const REPORTED_ANYWHERE_RE =
+  /\bpt\s+(?:reports|states|notes|c\/o|c\/c of|verbalizes|expresses|confirms)\b/i;
+const PAIN_RATING_RE = /\b\d{1,2}\s*\/\s*10\b/;
+// Clauses that already say what was done ("HEP reviewed") are kept as written.
+const DONE_RE =
+  /\b(?:reviewed|performed|provided|completed|issued|updated|administered|applied|trained|instructed|educated|tolerated)\b/i;
+// "energy conservation educated" -> "Pt educated on energy conservation."
+const TAUGHT_TAIL_RE = /^(.+?)\s+(educated|instructed|trained)$/i;
+const TAUGHT_PREPOSITIONS = { educated: "on", instructed: "in", trained: "in" };
+// Clauses that start with what Pt did ("ambulated with RW", "worked on UB dressing") only need
+// the subject; "Pt completes ambulated ..." is what this prevents.
+const LEAD_VERB_RE =
+  /^(?:ambulated|walked|worked|performed|completed|participated|practiced|tolerated|transferred|negotiated|ascended|descended|propelled|demonstrated|required|needed|progressed|trialed|used|educated|instructed|trained|was|were|able to)\b|^[a-z]{3,}ed\s+(?:on|with|in|to|for|from|at|x\s?\d|\d)/i;
+// Bare complaints ("Shoulder pain", "R knee stiffness") are patient-reported.
+const SYMPTOM_RE =
+  /\b(?:pain|aches?|aching|stiff\w*|tight\w*|sore\w*|numb\w*|tingling|n\/t|swelling|fatigue|dizz\w*)\b/i;
+// Any verb-like word: clauses without one ("Pulleys", "wall slides") are listed as tx content.
+const VERB_RE = /\b(?:is|are|was|were|has|have|had|can|will|did|does|\w{3,}ed|\w{3,}ing)\b/i;
+const FRAGMENT_MAX_WORDS = 3;
+const CUE_RE = /\b(?:vc|tc|vcs|tcs)\b|cue/i;
+
+const CUE_SENTENCE = "VC/TC provided for technique, sequencing, and pacing.";
+const SKILLED_SENTENCES = [
+  "Skilled cueing and clinical judgment were required for safe technique, pacing, and symptom management.",
+  "Skilled monitoring and instruction were provided throughout tx to ensure safe performance.",
+  "Tx was progressed within Pt tolerance per POC.",
+];
+const NO_SUBJECTIVE = "Pt agrees to participate in tx.";
+const NO_TOPIC_FOCUS = "POC goals";
+
+// How each intro prefix continues into the topic focus (first match wins).
+const INTRO_CONTINUATIONS = [
+  [/indicates pt $/i, (focus) => `requires skilled tx addressing ${focus}.`],
+  [/\bpt $/i, (focus) => `participates in skilled tx addressing ${focus}.`],
+  [/^pt participates with \w+ tx $/i, (focus) => `addressing ${focus}.`],
+  [/^pt (?:demonstrates|displays|shows) $/i, (focus) => `need for skilled tx addressing ${focus}.`],
+  [/^pt presents $/i, (focus) => `for skilled tx addressing ${focus}.`],
+  [/(?:focuses on|focused on) $/i, (focus) => `${focus}.`],
+  [/(?:displays|indicates) $/i, (focus) => `need for skilled tx addressing ${focus}.`],
+  [/./, (focus) => `skilled tx addressing ${focus}.`],
+];
+
+function endSentence(s) {
+  const t = s.trim().replace(/[,;:\s]+$/, "");
+  return /[.!?]$/.test(t) ? t : `${t}.`;
+}
+
+function stripEnd(s) {
+  return s.trim().replace(/[.!?,;:\s]+$/, "");
+}
+
+// "Gait training" -> "gait training", but acronyms and "Pt" stay ("STM", "UE").
+function lowerFirst(s) {
+  return /^[A-Z][a-z]/.test(s) && !/^Pt\b/.test(s) ? s[0].toLowerCase() + s.slice(1) : s;
+}
+
+function upperFirst(s) {
+  return s ? s[0].toUpperCase() + s.slice(1) : s;
+}
+
+// Summary-safe wording: no arrows, bullets or third-person references.
+function sanitizeClause(clause) {
+  return clause
+    .replace(/↑/g, "increased ")
+    .replace(/↓/g, "decreased ")
+    .replace(/^\s*(?:[-*•]|\d+[.)])\s+/, "")
+    .replace(/\b(?:the )?patient's\b/gi, "Pt's")
+    .replace(/\b(?:the patient|patient|they|them|themselves)\b/gi, "Pt")
+    .replace(/\b(?:their|theirs)\b/gi, "Pt's")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function assistLevelOf(clause) {
+  for (const [label, re] of ASSIST_LEVELS) {
+    const m = clause.match(re);
+    if (m) return { label, match: m[0] };
+  }
+  return null;
+}
+
+// "Mod A" / "with CGA" on its own after a comma belongs to the clause before it.
+function assistOnly(segment) {
+  const assist = assistLevelOf(segment);
+  if (!assist) return null;
+  const rest = segment.replace(assist.match, " ").replace(/\b(?:with|at|req\w*)\b/gi, " ");
+  return rest.trim() ? null : assist;
+}
+
+function interventionOf(clause) {
+  return INTERVENTIONS.find((i) => i.re.test(clause)) || null;
+}
+
+// A new statement, a second assist level, or a different intervention outside a
+// "ther-ex: ..." list.
+function startsStatement(segment, current) {
+  if (/^pt\b/i.test(segment) || LEAD_VERB_RE.test(segment) || TAUGHT_TAIL_RE.test(segment)) {
+    return true;
+  }
+  if (assistLevelOf(segment) && assistLevelOf(current.text)) return true;
+  const next = interventionOf(segment);
+  return !!next && !current.text.includes(":") && next !== interventionOf(current.text);
+}
+
+// Clauses at . ! ? ; and newlines; a comma starts a new clause only before a new statement
+// ("..., energy conservation educated", "..., grooming with SBA"), so lists
+// ("bridges, clamshells 3x10", "STM to QL, piriformis") stay together.
+function splitClauses(userText) {
+  const clauses = [];
+  for (const sentence of String(userText || "")
+    .replace(/\r\n/g, "\n")
+    .split(/(?<=[.!?])\s+|[;\n]+/)) {
+    let current = null;
+    for (const segment of sentence.split(/,\s*/).map(sanitizeClause).map(stripEnd)) {
+      if (!segment) continue;
+      const assist = current && !current.assist && assistOnly(segment);
+      if (assist) current.assist = assist;
+      else if (current && !startsStatement(segment, current)) current.text += `, ${segment}`;
+      else clauses.push((current = { text: segment, assist: null }));
+    }
+  }
+  return clauses;
+}
+
+function subjectiveClause(clause) {
+  const m = clause.match(REPORT_RE);
+  if (m) return `Pt ${m[1].toLowerCase()}${clause.slice(m[0].length)}`;
+  if (/^complains of\b/i.test(clause)) return `Pt c/o${clause.slice("complains of".length)}`;
+  return `Pt reports ${lowerFirst(clause)}`;
+}
+
+// "ambulated with RW CGA" -> "ambulated with RW, requiring CGA"; an assist level mid-clause
+// ("with CGA using RW") is left where it is.
+function withAssist(clause, assist) {
+  if (!assist) return clause;
+  if (!clause.includes(assist.match)) return `${clause}, requiring ${assist.label}`;
+  const tail = new RegExp(`[\\s,]*(?:with|at)?\\s*${escapeRegExp(assist.match)}$`, "i");
+  if (!tail.test(clause)) return clause;
+  return `${clause.replace(tail, "")}, requiring ${assist.label}`;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function assistSentence(clause, assist) {
+  const activity = clause
+    .replace(assist.match, " ")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s,:-]*(?:x\s?\d\s*)?(?:for|with|during|on)?\s*/i, "")
+    .replace(/\s*(?:with|at|for)?[\s,:-]*$/i, "")
+    .trim();
+  return activity
+    ? `Pt requires ${assist.label} for ${lowerFirst(activity)}`
+    : `Pt requires ${assist.label}`;
+}
+
+// "ther-ex: bridges, clamshells 3x10" -> "ther-ex including bridges and clamshells 3x10"
+function interventionSentence(clause, intervention) {
+  const m = clause.match(/^([^:]+):\s*(.+)$/);
+  const what = m ? `${m[1].trim()} including ${listPhrase(m[2].split(/,\s*/))}` : clause;
+  return `Pt ${intervention.lead || "completes"} ${lowerFirst(what)}`;
+}
+
+function detailSentence({ text: clause, assist: trailingAssist }, { intervention, assist }) {
+  if (/^pt\b/i.test(clause)) return endSentence(withAssist(`Pt${clause.slice(2)}`, trailingAssist));
+  if (LEAD_VERB_RE.test(clause)) {
+    return endSentence(withAssist(`Pt ${lowerFirst(clause)}`, trailingAssist || assist));
+  }
+  const taught = clause.match(TAUGHT_TAIL_RE);
+  if (taught) {
+    const verb = taught[2].toLowerCase();
+    return endSentence(`Pt ${verb} ${TAUGHT_PREPOSITIONS[verb]} ${lowerFirst(taught[1])}`);
+  }
+  if (DONE_RE.test(clause)) return endSentence(withAssist(upperFirst(clause), trailingAssist));
+  if (assist || trailingAssist) {
+    return endSentence(assistSentence(clause, assist || { ...trailingAssist, match: "" }));
+  }
+  if (intervention) return endSentence(interventionSentence(clause, intervention));
+  if (!VERB_RE.test(clause) && clause.split(" ").length <= FRAGMENT_MAX_WORDS) {
+    return endSentence(`Tx includes ${lowerFirst(clause)}`);
+  }
+  return endSentence(upperFirst(clause));
+}
+
+// "a", "a and b", "a, b, and c"
+function listPhrase(items) {
+  if (items.length < 3) return items.join(" and ");
+  return `${items.slice(0, -1).join(", ")}, and ${items[items.length - 1]}`;
+}
+
+// Each focus phrase once: "LBP" from two rules, or "shoulder" next to "shoulder pain", reads once.
+function distinctTopics(topics) {
+  const kept = [];
+  for (const topic of topics.map(lowerFirst)) {
+    const key = topic.toLowerCase();
+    if (kept.some((k) => k.toLowerCase().includes(key))) continue;
+    const i = kept.findIndex((k) => key.includes(k.toLowerCase()));
+    if (i >= 0) kept[i] = topic;
+    else kept.push(topic);
+  }
+  return kept;
+}
+
+function introSentence(introPrefix, topics) {
+  const focus = topics.length ? listPhrase(topics) : NO_TOPIC_FOCUS;
+  const [, continueWith] = INTRO_CONTINUATIONS.find(([re]) => re.test(introPrefix));
+  return `${introPrefix}${continueWith(focus)}`;
+}
+
+/**
+ * Build a visit note without a model.
+ *  topics             focus phrases as userText words them (server.js: each triggered
+ *                     content topic plus the required terms userText already names)
+ *  anchors            discipline anchors ({ terms, fallbackSentence }, disciplines.js)
+ *  pocLine            exact POC line ("PT POC: <opener> <content>")
+ * Returns { note, subjective, summary, poc, interventions, assistLevels }.
+ */
+function buildOfflineVisitNote({
+  userText,
+  topics = [],
+  introPrefix,
+  closerSentence,
+  pocLine,
+  anchors,
+  closingPhrases = [],
+}) {
+  const subjective = [];
+  const details = [];
+  const interventions = new Set();
+  const assistLevels = new Set();
+
+  for (const part of splitClauses(userText)) {
+    const clause = part.text;
+    // Closers in userText would end up mid-Summary; the rotated closer is added below.
+    if (closingPhrases.some((p) => clause.includes(p))) continue;
+
+    const intervention = interventionOf(clause);
+    const assist = assistLevelOf(clause);
+    if (intervention) interventions.add(intervention.label);
+    if (assist || part.assist) assistLevels.add((assist || part.assist).label);
+
+    const plain = !intervention && !assist && !part.assist && !LEAD_VERB_RE.test(clause);
+    const reported =
+      REPORT_RE.test(clause) ||
+      REPORTED_ANYWHERE_RE.test(clause) ||
+      /^complains of\b/i.test(clause) ||
+      (plain && (PAIN_RATING_RE.test(clause) || SYMPTOM_RE.test(clause)));
+    if (reported) subjective.push(stripEnd(subjectiveClause(clause)));
+    else details.push(detailSentence(part, { intervention, assist }));
+  }
+
+  const subjectiveSentence = subjective.length ? endSentence(subjective.join("; ")) : NO_SUBJECTIVE;
+
+  const intro = introSentence(introPrefix, distinctTopics(topics));
+  const detailText = details.join(" ").toLowerCase();
+  const needsCue =
+    (detailText.includes("ther-ex") || detailText.includes("ther-act")) && !CUE_RE.test(detailText);
+  const needsAnchor = !anchors.terms.some((t) =>
+    `${intro} ${detailText}`.toLowerCase().includes(t)
+  );
+
+  // 5-7 sentences: intro + details + cue/anchor + skilled filler + closer.
+  const fixed = 2 + (needsCue ? 1 : 0) + (needsAnchor ? 1 : 0);
+  const budget = 7 - fixed;
+  if (details.length > budget) {
+    const merged = details.splice(budget - 1).map(stripEnd);
+    details.push(endSentence(merged.map((d, i) => (i ? lowerFirst(d) : d)).join("; ")));
+  }
+
+  const body = [
+    intro,
+    ...details,
+    ...(needsCue ? [CUE_SENTENCE] : []),
+    ...(needsAnchor ? [anchors.fallbackSentence] : []),
+  ];
+  for (const filler of SKILLED_SENTENCES) {
+    if (body.length + 1 >= 5) break;
+    body.push(filler);
+  }
+  const summary = [...body, closerSentence].join(" ");
+
+  return {
+    note: `Subjective\n${subjectiveSentence}\n\nSummary\n${summary}\n\nPOC\n${pocLine}`,
+    subjective: subjectiveSentence,
+    summary,
+    poc: pocLine,
+    interventions: [...interventions],
+    assistLevels: [...assistLevels],
+  };
+}
+
+export { ASSIST_LEVELS, INTERVENTIONS, buildOfflineVisitNote };
@@ -0,0 +1,240 @@
+// ======================= phiRedaction.js =======================
+// PHI redaction around every model call.
+//
+// A redactor is created per request (server.js middleware) and replaces identifiers with
+// placeholders before text reaches the provider, then restores them in the returned text:
+//  - name     patient names given in the request (patientLabel, fields.name, ...) and their
+//             parts, plus honorific names ("Mr. Smith", "Dr. Lee")
+//  - phone    (555) 123-4567, 555-123-4567, +1 555 123 4567
+//  - email    jane@example.com
+//  - ssn      123-45-6789
+//  - mrn      "MRN 123456", "acct #A-9931" (the number only)
+//  - date     03/14/2024, 2024-03-14, March 14, 2024 (pain "5/10" and BP "120/80" are kept)
+//  - address  "12 Oak St", "400 W Main Avenue"
+//  - age      ages over 89 ("92 y/o"), per HIPAA safe harbor
+//
+// Placeholders look like [NAME_1]; the same value always maps to the same placeholder within
+// a request, so repair passes see consistent text. Only values the client sent are redacted:
+// what the server writes into prompts itself (e.g. today's date) reaches the model as-is and is
+// not reported. Ages are the exception: the server derives them from dob.
+//
+// createRedactingProvider(inner) wraps an llm.js provider: redaction happens in chat/chatStream,
+// so every caller (server.js, aisummary.js) is covered without passing the redactor around.
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const PHI_PATTERNS = [
+  ["email", /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g],
+  ["ssn", /\b\d{3}-\d{2}-\d{4}\b/g],
+  ["phone", /(?:\+?1[-.\s]?)?(?:\(\d{3}\)\s?|\b\d{3}[-.\s])\d{3}[-.\s]\d{4}\b/g],
+  [
+    "mrn",
+    /\b(?:MRN|medical record(?:\s+(?:number|no\.?|#))?|acct|account)\s*(?:#|no\.?|number)?\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})\b/gi,
+  ],
+  ["date", /\b(?:\d{1,2}[/-]\d{1,2}[/-](?:\d{4}|\d{2})|\d{4}-\d{2}-\d{2})\b/g],
+  [
+    "date",
+    /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}\b/gi,
+  ],
+  [
+    "address",
+    /\b\d{1,5}\s+(?:[NSEW]\.?\s+)?(?:[A-Z][a-z]+\s+){1,3}(?:St|Street|Ave|Avenue|Rd|Road|Blvd|Boulevard|Dr|Drive|Ln|Lane|Ct|Court|Way|Pl|Place|Ter|Terrace|Pkwy|Parkway|Cir|Circle)\b\.?/g,
+  ],
+  ["age", /\b(?:9\d|1[01]\d)(?=\s*(?:y\/?o|yo|years?\s+old|year-old)\b)/gi],
+  ["name", /\b(?:Mr|Mrs|Ms|Miss|Dr)\.?\s+[A-Z][a-z]+(?:[-'][A-Z][a-z]+)?(?:\s+[A-Z][a-z]+)?/g],
+];
+
+// Generic labels ("Patient #1", "Pt 3") are not names.
+const GENERIC_LABEL_RE = /^(?:patient|pt|client)\s*#?\s*\d*$/i;
+const NAME_PART_MIN = 3;
+// Ages are worked out from dob on the server ("a 96 y/o"), so they are redacted wherever they
+// come from.
+const ALWAYS_REDACTED = new Set(["age"]);
+const PLACEHOLDER_RE = /\[([A-Z]+)_(\d+)\]/g;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "Jane Smith" -> "J*** S****" (reports never carry the raw value).
+function maskValue(value) {
+  return String(value).replace(/[A-Za-z0-9]/g, (c, i, s) =>
+    i === 0 || /[^A-Za-z0-9]/.test(s[i - 1]) ? c : "*"
+  );
+}
+
+// Whitespace-insensitive, case-insensitive comparison form.
+function squash(text) {
+  return String(text ?? "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Create a per-request redactor.
+ * knownNames: patient names from the request (full names; their parts are redacted too).
+ * clientText: everything the client sent; when given, pattern matches (dates, phones, ...) are
+ *   only redacted if they occur in it (ages always are). Omit it to redact every match.
+ */
+function createRedactor({ knownNames = [], clientText } = {}) {
+  const client = clientText == null ? null : squash(clientText);
+  const fromClient = (type, value) =>
+    client == null || ALWAYS_REDACTED.has(type) || client.includes(squash(value));
+
+  const byValue = new Map(); // "type::value" -> placeholder
+  const byPlaceholder = new Map(); // placeholder -> { type, value }
+  const counts = {};
+
+  // Full names match in any case; single name parts only when capitalized ("Will" vs "will").
+  const fullNames = [
+    ...new Set(
+      knownNames.map((n) => String(n || "").trim()).filter((n) => n && !GENERIC_LABEL_RE.test(n))
+    ),
+  ];
+  const nameParts = [
+    ...new Set(
+      fullNames.flatMap((n) =>
+        n
+          .split(/[\s,]+/)
+          .map((p) => p.replace(/^[^A-Za-z]+|[^A-Za-z]+$/g, ""))
+          .filter((p) => p !== n && p.length >= NAME_PART_MIN && /^[A-Z]/.test(p))
+      )
+    ),
+  ];
+  const nameMatchers = [
+    [fullNames, "gi"],
+    [nameParts, "g"],
+  ]
+    .filter(([list]) => list.length)
+    .map(([list, flags]) => {
+      const alternation = [...list].sort((a, b) => b.length - a.length).map(escapeRegExp);
+      return new RegExp(`\\b(?:${alternation.join("|")})\\b`, flags);
+    });
+
+  function placeholderFor(type, value) {
+    const key = `${type}::${value.toLowerCase()}`;
+    if (byValue.has(key)) return byValue.get(key);
+    counts[type] = (counts[type] || 0) + 1;
+    const placeholder = `[${type.toUpperCase()}_${counts[type]}]`;
+    byValue.set(key, placeholder);
+    byPlaceholder.set(placeholder, { type, value });
+    return placeholder;
+  }
+
+  function redact(text) {
+    let out = String(text ?? "");
+    for (const re of nameMatchers) out = out.replace(re, (m) => placeholderFor("name", m));
+    for (const [type, re] of PHI_PATTERNS) {
+      out = out.replace(re, (m, group) => {
+        // Patterns with a capture group (mrn) only replace the identifier, not its label.
+        if (typeof group === "string" && group) {
+          return fromClient(type, group) ? m.replace(group, placeholderFor(type, group)) : m;
+        }
+        return fromClient(type, m) ? placeholderFor(type, m) : m;
+      });
+    }
+    return out;
+  }
+
+  // Unknown placeholders (the model invented one) are left as-is.
+  function restore(text) {
+    return String(text ?? "").replace(PLACEHOLDER_RE, (m) => byPlaceholder.get(m)?.value ?? m);
+  }
+
+  // { count, byType: { name: 2, ... }, items: [{ placeholder, type, masked }] }
+  function report() {
+    const items = [...byPlaceholder.entries()].map(([placeholder, { type, value }]) => ({
+      placeholder,
+      type,
+      masked: maskValue(value),
+    }));
+    return { count: items.length, byType: { ...counts }, items };
+  }
+
+  return { redact, restore, report, count: () => byPlaceholder.size };
+}
+
+// ---------------- Request scope ----------------
+
+const redactorScope = new AsyncLocalStorage();
+
+function runWithRedactor(redactor, fn) {
+  return redactorScope.run(redactor, fn);
+}
+
+function currentRedactor() {
+  return redactorScope.getStore() || null;
+}
+
+// ---------------- Provider wrapper ----------------
+
+const PLACEHOLDER_INSTRUCTION =
+  "Bracketed placeholders such as [NAME_1] or [DATE_1] stand for redacted details: copy them exactly where needed and never invent new ones.";
+
+function redactMessages(messages, redactor) {
+  const redacted = (messages || []).map((m) => ({ ...m, content: redactor.redact(m?.content) }));
+  if (!redactor.count()) return redacted;
+
+  const sys = redacted.findIndex((m) => m.role === "system");
+  if (sys >= 0) {
+    redacted[sys] = {
+      ...redacted[sys],
+      content: `${redacted[sys].content}\n${PLACEHOLDER_INSTRUCTION}`,
+    };
+  } else {
+    redacted.unshift({ role: "system", content: PLACEHOLDER_INSTRUCTION });
+  }
+  return redacted;
+}
+
+// Streams restore placeholders too; a trailing "[..." that may still be a placeholder is held back.
+function createStreamRestorer(redactor, onToken) {
+  let pending = "";
+  return {
+    push(delta) {
+      pending += delta;
+      const open = pending.lastIndexOf("[");
+      const hold = open >= 0 && !pending.includes("]", open) && pending.length - open <= 16;
+      const ready = hold ? pending.slice(0, open) : pending;
+      pending = hold ? pending.slice(open) : "";
+      if (ready) onToken?.(redactor.restore(ready));
+    },
+    flush() {
+      if (pending) onToken?.(redactor.restore(pending));
+      pending = "";
+    },
+  };
+}
+
+function createRedactingProvider(inner, { getRedactor = currentRedactor } = {}) {
+  const provider = {
+    ...inner,
+    redacting: true,
+    async chat(opts = {}) {
+      const redactor = getRedactor();
+      if (!redactor) return inner.chat(opts);
+      const result = await inner.chat({
+        ...opts,
+        messages: redactMessages(opts.messages, redactor),
+      });
+      return { ...result, text: redactor.restore(result.text) };
+    },
+  };
+
+  if (typeof inner.chatStream === "function") {
+    provider.chatStream = async ({ onToken, ...opts } = {}) => {
+      const redactor = getRedactor();
+      if (!redactor) return inner.chatStream({ ...opts, onToken });
+      const restorer = createStreamRestorer(redactor, onToken);
+      const result = await inner.chatStream({
+        ...opts,
+        messages: redactMessages(opts.messages, redactor),
+        onToken: (delta) => restorer.push(delta),
+      });
+      restorer.flush();
+      return { ...result, text: redactor.restore(result.text) };
+    };
+  }
+
+  return provider;
+}
+
+export { createRedactor, createRedactingProvider, currentRedactor, runWithRedactor };
@@ -0,0 +1,234 @@
+// ======================= resilience.js =======================
+// Timeouts, retries and a circuit breaker around an llm.js provider.
+//
+// createResilientProvider(inner, options) returns a provider with the same interface:
+//  - every attempt gets timeoutMs (streams: max silence between tokens) and is aborted after it
+//  - retryable failures (timeouts, network errors, 408/409/429/5xx) are retried up to `retries`
+//    times with full-jitter exponential backoff (a provider Retry-After header is respected,
+//    capped at maxDelayMs); a stream is only retried before its first token
+//  - the breaker opens after `failureThreshold` consecutive retryable failures: calls then fail
+//    fast (code CIRCUIT_OPEN, status 503) until cooldownMs has passed, when one probe call is
+//    let through (half-open) — success closes the breaker, failure re-opens it
+//
+// random / delay (Math.random, setTimeout) and the breaker's now() can be swapped out in tests.
+// Errors keep their original status; resilience adds code/retryable/attempts.
+// isProviderUnavailable(err) tells callers an outage-type failure (degrade instead of 500).
+
+const DEFAULT_TIMEOUT_MS = 30_000;
+const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set([
+  "MODEL_TIMEOUT",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+]);
+
+function providerError(message, { status, code, retryAfterSec } = {}) {
+  const err = new Error(message);
+  if (status != null) err.status = status;
+  if (code) err.code = code;
+  if (retryAfterSec != null) err.retryAfterSec = retryAfterSec;
+  return err;
+}
+
+function isRetryableError(err) {
+  if (!err || err.code === "CIRCUIT_OPEN") return false;
+  if (RETRYABLE_STATUS.has(Number(err.status))) return true;
+  if (RETRYABLE_CODES.has(err.code) || RETRYABLE_CODES.has(err.cause?.code)) return true;
+  // openai SDK: APIConnectionError / APIConnectionTimeoutError carry no status
+  return (
+    /^APIConnection/.test(err.constructor?.name || "") || /^APIConnection/.test(err.name || "")
+  );
+}
+
+function isProviderUnavailable(err) {
+  return err?.code === "CIRCUIT_OPEN" || isRetryableError(err);
+}
+
+// HTTP status for a failed model-backed request: 429 / 503 for outages, null otherwise.
+function providerErrorStatus(err) {
+  if (!isProviderUnavailable(err)) return null;
+  return Number(err.status) === 429 ? 429 : 503;
+}
+
+// Retry-After from the provider's response headers (seconds or HTTP date), in ms.
+function retryAfterMs(err) {
+  const raw = err?.headers?.["retry-after"] ?? err?.headers?.get?.("retry-after");
+  if (raw == null) return null;
+  const secs = Number(raw);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const at = Date.parse(raw);
+  return Number.isNaN(at) ? null : Math.max(at - Date.now(), 0);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ---------------- Circuit breaker ----------------
+
+function createCircuitBreaker({ failureThreshold = 5, cooldownMs = 30_000, now = Date.now } = {}) {
+  let state = "closed"; // "closed" | "open" | "half-open"
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+
+  // Throws CIRCUIT_OPEN when the call may not go out.
+  function check() {
+    if (state === "open" && now() - openedAt >= cooldownMs) state = "half-open";
+    if (state === "closed") return;
+    if (state === "half-open" && !probing) {
+      probing = true;
+      return;
+    }
+    const retryAfterSec = Math.max(Math.ceil((openedAt + cooldownMs - now()) / 1000), 1);
+    throw providerError(`Model provider unavailable (circuit open, retry in ${retryAfterSec}s).`, {
+      status: 503,
+      code: "CIRCUIT_OPEN",
+      retryAfterSec,
+    });
+  }
+
+  function success() {
+    state = "closed";
+    failures = 0;
+    probing = false;
+  }
+
+  function failure() {
+    failures += 1;
+    if (state === "half-open" || failures >= failureThreshold) {
+      if (state !== "open") console.warn(`⚠️ Model circuit open after ${failures} failure(s).`);
+      state = "open";
+      openedAt = now();
+    }
+    probing = false;
+  }
+
+  function snapshot() {
+    if (state === "open" && now() - openedAt >= cooldownMs) state = "half-open";
+    return {
+      state,
+      failures,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      failureThreshold,
+      cooldownMs,
+    };
+  }
+
+  return { check, success, failure, snapshot };
+}
+
+// ---------------- Provider wrapper ----------------
+
+function createResilientProvider(
+  inner,
+  {
+    timeoutMs: requestedTimeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 8_000,
+    breaker = createCircuitBreaker(),
+    random = Math.random,
+    delay = sleep,
+  } = {}
+) {
+  // A timeout <= 0 would abort every attempt at once.
+  const timeoutMs = requestedTimeoutMs > 0 ? requestedTimeoutMs : DEFAULT_TIMEOUT_MS;
+
+  // One attempt with an abortable timeout; `touch` (streams) restarts the timer.
+  async function attempt(run) {
+    const controller = new AbortController();
+    let timer = null;
+    let settled = false;
+    let rejectTimeout;
+    const timedOut = new Promise((_, reject) => (rejectTimeout = reject));
+    const arm = () => {
+      if (settled) return; // late tokens from an attempt that already timed out
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const err = providerError(`Model call timed out after ${timeoutMs}ms.`, {
+          status: 504,
+          code: "MODEL_TIMEOUT",
+        });
+        controller.abort(err);
+        rejectTimeout(err);
+      }, timeoutMs);
+    };
+
+    arm();
+    const call = run({ signal: controller.signal, touch: arm });
+    call.catch(() => {}); // settled by the race below; a late rejection is not unhandled
+    try {
+      return await Promise.race([call, timedOut]);
+    } finally {
+      settled = true;
+      clearTimeout(timer);
+    }
+  }
+
+  async function withRetries(run, { canRetry = () => true } = {}) {
+    for (let n = 0; ; n += 1) {
+      breaker.check();
+      try {
+        const result = await attempt(run);
+        breaker.success();
+        return result;
+      } catch (err) {
+        const retryable = isRetryableError(err);
+        if (retryable) breaker.failure();
+        else breaker.success(); // the provider answered; the request itself was bad
+
+        if (!retryable || n >= retries || !canRetry()) {
+          err.retryable = retryable;
+          err.attempts = n + 1;
+          throw err;
+        }
+        const backoff = random() * Math.min(maxDelayMs, baseDelayMs * 2 ** n);
+        await delay(Math.min(Math.max(backoff, retryAfterMs(err) ?? 0), maxDelayMs));
+      }
+    }
+  }
+
+  const provider = {
+    ...inner,
+    resilient: true,
+    breaker,
+    chat(opts = {}) {
+      return withRetries(({ signal }) => inner.chat({ ...opts, signal }));
+    },
+  };
+
+  if (typeof inner.chatStream === "function") {
+    provider.chatStream = ({ onToken, ...opts } = {}) => {
+      let streamed = false;
+      return withRetries(
+        ({ signal, touch }) =>
+          inner.chatStream({
+            ...opts,
+            signal,
+            onToken: (delta) => {
+              streamed = true;
+              touch();
+              onToken?.(delta);
+            },
+          }),
+        { canRetry: () => !streamed }
+      );
+    };
+  }
+
+  return provider;
+}
+
+export {
+  createCircuitBreaker,
+  createResilientProvider,
+  isProviderUnavailable,
+  isRetryableError,
+  providerErrorStatus,
+};
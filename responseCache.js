@@ -0,0 +1,132 @@
+// ======================= responseCache.js =======================
+// Stored responses for retried requests (Idempotency-Key) and repeatable model outputs
+// (content-hash cache). server.js decides what is stored; this module only keeps and replays it.
+//
+// - createResponseStore({ dir, ttlMs }) keeps one JSON file per key (sha256 file name):
+//    { key, state: "pending" | "done", fingerprint, status, contentType, body, createdAt, expiresAt }
+//   put(key, record, { expiresAt }) may end a record's life before the ttl. Expired records read
+//   as missing and are pruned at most once an hour.
+// - captureResponse(res, onEnd) records whatever the handler writes (JSON or an SSE stream)
+//   without changing what the client receives.
+// - replayResponse(res, record, headers) sends a stored response again.
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { createJsonFileStore } from "./jsonStore.js";
+
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+
+function hashOf(value) {
+  return crypto
+    .createHash("sha256")
+    .update(typeof value === "string" ? value : JSON.stringify(value ?? null))
+    .digest("hex");
+}
+
+function createResponseStore({ dir, ttlMs }) {
+  let lastPrune = 0;
+
+  const fileFor = (key) => path.join(dir, `${hashOf(key)}.json`);
+  const isExpired = (record, now = Date.now()) => new Date(record?.expiresAt).getTime() <= now;
+
+  function get(key) {
+    const file = fileFor(key);
+    if (!fs.existsSync(file)) return null;
+    const record = createJsonFileStore(file, null).read();
+    return record && !isExpired(record) ? record : null;
+  }
+
+  function put(key, record, { expiresAt } = {}) {
+    const now = new Date();
+    const ttlEnd = now.getTime() + ttlMs;
+    const end = expiresAt ? Math.min(new Date(expiresAt).getTime(), ttlEnd) : ttlEnd;
+    const saved = {
+      ...record,
+      key,
+      createdAt: record.createdAt || now.toISOString(),
+      expiresAt: new Date(end).toISOString(),
+    };
+    createJsonFileStore(fileFor(key), null).write(saved);
+    prune();
+    return saved;
+  }
+
+  function remove(key) {
+    fs.rmSync(fileFor(key), { force: true });
+  }
+
+  function prune({ force = false } = {}) {
+    const now = Date.now();
+    if (!force && now - lastPrune < PRUNE_EVERY_MS) return 0;
+    lastPrune = now;
+
+    let removed = 0;
+    for (const name of fs.existsSync(dir) ? fs.readdirSync(dir) : []) {
+      if (!name.endsWith(".json")) continue;
+      const file = path.join(dir, name);
+      try {
+        if (isExpired(JSON.parse(fs.readFileSync(file, "utf8")), now)) {
+          fs.rmSync(file, { force: true });
+          removed += 1;
+        }
+      } catch {
+        // Unreadable or half-written file: leave it, get() treats it as missing.
+      }
+    }
+    return removed;
+  }
+
+  return { get, put, remove, prune };
+}
+
+// ---------------- Capture / replay ----------------
+
+function toBuffer(chunk, encoding) {
+  if (Buffer.isBuffer(chunk)) return chunk;
+  return Buffer.from(String(chunk), typeof encoding === "string" ? encoding : "utf8");
+}
+
+// onEnd({ status, contentType, body }) runs once, when the handler calls res.end().
+function captureResponse(res, onEnd) {
+  const chunks = [];
+  const { write, end, writeHead } = res;
+  let contentType = null;
+  let done = false;
+
+  // SSE routes pass their headers straight to writeHead.
+  res.writeHead = function (status, ...args) {
+    const headers = args.find((a) => a && typeof a === "object");
+    const ct = headers && Object.entries(headers).find(([k]) => k.toLowerCase() === "content-type");
+    if (ct) contentType = String(ct[1]);
+    return writeHead.call(this, status, ...args);
+  };
+
+  res.write = function (chunk, ...args) {
+    if (chunk != null) chunks.push(toBuffer(chunk, args[0]));
+    return write.call(this, chunk, ...args);
+  };
+
+  res.end = function (chunk, ...args) {
+    if (chunk != null && typeof chunk !== "function") chunks.push(toBuffer(chunk, args[0]));
+    const result = end.call(this, chunk, ...args);
+    if (!done) {
+      done = true;
+      onEnd({
+        status: res.statusCode,
+        contentType: contentType || String(res.getHeader("content-type") || ""),
+        body: Buffer.concat(chunks).toString("utf8"),
+      });
+    }
+    return result;
+  };
+}
+
+function replayResponse(res, record, headers = {}) {
+  res.status(record.status);
+  if (record.contentType) res.set("Content-Type", record.contentType);
+  res.set(headers);
+  return res.send(record.body);
+}
+
+export { captureResponse, createResponseStore, hashOf, replayResponse };
@@ -0,0 +1,81 @@
+// ======================= rotationStore.js =======================
+// Durable per-clinician + per-patient phrase rotation for /generate
+// (intro prefix, closer, POC opener).
+//
+// File shape (DATA_DIR/rotation.json):
+//  {
+//    "rotations": {
+//      "<clinicianId>::<patientKey>": {
+//        clinicianId, patientKey, updatedAt,
+//        slots: { "<slot>": { index, size, updatedAt } }
+//      }
+//    }
+//  }
+//
+// A slot remembers the list size it rotated over; if a phrase list grows or
+// shrinks, that slot restarts at a random index.
+
+import { createJsonFileStore } from "./jsonStore.js";
+
+function rotationKey(clinicianId, patientKey) {
+  return `${clinicianId}::${patientKey}`;
+}
+
+function createRotationStore({ filePath }) {
+  const store = createJsonFileStore(filePath, { rotations: {} });
+
+  // Advance (or seed) a slot and return the chosen index.
+  function next({ clinicianId, patientKey, slot, size }) {
+    return store.update((data) => {
+      data.rotations ||= {};
+      const key = rotationKey(clinicianId, patientKey);
+      const now = new Date().toISOString();
+      const entry = data.rotations[key] || { clinicianId, patientKey, slots: {} };
+
+      const prev = entry.slots[slot];
+      const index =
+        prev && prev.size === size ? (prev.index + 1) % size : Math.floor(Math.random() * size);
+
+      entry.slots[slot] = { index, size, updatedAt: now };
+      entry.updatedAt = now;
+      data.rotations[key] = entry;
+      return index;
+    });
+  }
+
+  function get({ clinicianId, patientKey }) {
+    const data = store.read();
+    return data.rotations?.[rotationKey(clinicianId, patientKey)] || null;
+  }
+
+  function list({ clinicianId } = {}) {
+    const data = store.read();
+    return Object.values(data.rotations || {}).filter(
+      (r) => !clinicianId || r.clinicianId === clinicianId
+    );
+  }
+
+  // Reset one slot, or the whole patient when slot is omitted. Returns true if anything was removed.
+  function reset({ clinicianId, patientKey, slot }) {
+    return store.update((data) => {
+      const key = rotationKey(clinicianId, patientKey);
+      const entry = data.rotations?.[key];
+      if (!entry) return false;
+
+      if (!slot) {
+        delete data.rotations[key];
+        return true;
+      }
+
+      if (!entry.slots?.[slot]) return false;
+      delete entry.slots[slot];
+      entry.updatedAt = new Date().toISOString();
+      if (!Object.keys(entry.slots).length) delete data.rotations[key];
+      return true;
+    });
+  }
+
+  return { next, get, list, reset };
+}
+
+export { createRotationStore };
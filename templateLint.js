@@ -0,0 +1,248 @@
+// ======================= templateLint.js =======================
+// Schema + lint rules for eval templates (templates.js seeds and stored templates).
+//
+// lintTemplate({ fields, resolved, abstract }) -> { ok, errors, warnings }
+//  - fields   the template's own (raw) fields, including meta keys (extends/overlays/abstract)
+//  - resolved the template after inheritance (defaults to fields)
+//  - abstract base-only templates skip the required-key check
+//
+// Each issue: { field, rule, message }. Errors block a save; warnings are report-only.
+
+const REQUIRED_TEMPLATE_KEYS = [
+  "gender",
+  "dob",
+  "weight",
+  "height",
+  "bmi",
+  "bmi_category",
+  "meddiag",
+  "history",
+  "subjective",
+  "pain_location",
+  "pain_onset",
+  "pain_condition",
+  "pain_mechanism",
+  "pain_rating",
+  "pain_frequency",
+  "pain_description",
+  "pain_aggravating",
+  "pain_relieved",
+  "pain_interferes",
+  "meds",
+  "tests",
+  "dme",
+  "plof",
+  "posture",
+  "rom",
+  "strength",
+  "palpation",
+  "functional",
+  "special",
+  "impairments",
+  "goals",
+  "frequency",
+  "intervention",
+  "procedures",
+];
+
+const OPTIONAL_TEMPLATE_KEYS = ["summary", "diff_dx"];
+const TEMPLATE_META_KEYS = ["extends", "overlays", "abstract"];
+const ALLOWED_TEMPLATE_KEYS = new Set([
+  ...REQUIRED_TEMPLATE_KEYS,
+  ...OPTIONAL_TEMPLATE_KEYS,
+  ...TEMPLATE_META_KEYS,
+]);
+
+// "2wk5", "1wk1, 2wk12" (visits per week x weeks)
+const FREQUENCY_RE = /^\d+wk\d+(?:\s*,\s*\d+wk\d+)*$/i;
+// "97110 Therapeutic Exercise"
+const PROCEDURE_LINE_RE = /^\d{5}\s+\S/;
+// "3+/5", "4-/5", "3+/5*"
+const MMT_TOKEN_RE = /(\S+)\/5\b/g;
+const MMT_GRADE_RE = /^[0-5][+-]?$/;
+// Stray quote characters left over from the pt_templates.py conversion (e.g. "height": "”").
+const STRAY_QUOTES_RE = /^[\s"'“”‘’′″]+$/;
+// Spellings of "not applicable" other than the house style "N/A".
+const NA_VARIANTS_RE = /^\s*(?:none|na|n\.a\.?|n\/a|not applicable)\s*\.?\s*$/i;
+
+function issue(field, rule, message) {
+  return { field, rule, message };
+}
+
+function nonEmptyLines(value) {
+  return String(value || "")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+}
+
+// Total planned visits for a frequency like "1wk1, 2wk12" (1 + 24 = 25); null when unparseable.
+function frequencyVisits(frequency) {
+  const f = String(frequency || "").trim();
+  if (!FREQUENCY_RE.test(f)) return null;
+  return [...f.matchAll(/(\d+)wk(\d+)/gi)].reduce((n, m) => n + Number(m[1]) * Number(m[2]), 0);
+}
+
+// Highest visit number named in goal headers: "(13–25 visits)" -> 25, "(10 visits)" -> 10.
+function goalsMaxVisit(goals) {
+  const nums = [...String(goals || "").matchAll(/\((?:\d+\s*[–-]\s*)?(\d+)\s+visits?\)/gi)].map(
+    (m) => Number(m[1])
+  );
+  return nums.length ? Math.max(...nums) : null;
+}
+
+function lintMeta(fields, errors) {
+  if (fields.extends != null && typeof fields.extends !== "string") {
+    errors.push(issue("extends", "meta.extends", "extends must be a template name."));
+  }
+  if (fields.overlays != null) {
+    const ok =
+      Array.isArray(fields.overlays) && fields.overlays.every((o) => typeof o === "string");
+    if (!ok) {
+      errors.push(
+        issue("overlays", "meta.overlays", "overlays must be an array of template names.")
+      );
+    }
+  }
+  if (fields.abstract != null && typeof fields.abstract !== "boolean") {
+    errors.push(issue("abstract", "meta.abstract", "abstract must be true or false."));
+  }
+}
+
+function lintStrength(value, errors, warnings) {
+  for (const line of nonEmptyLines(value)) {
+    if (line === "N/A") continue;
+    if (!line.includes(":")) {
+      warnings.push(
+        issue("strength", "strength.label", `Strength line has no "Label:" prefix: "${line}".`)
+      );
+    }
+    for (const m of line.matchAll(MMT_TOKEN_RE)) {
+      const grade = m[1].replace(/^[^0-9]*/, "");
+      if (!MMT_GRADE_RE.test(grade)) {
+        errors.push(
+          issue(
+            "strength",
+            "strength.grade",
+            `Invalid MMT grade "${m[0]}" (expected 0-5 with optional +/-).`
+          )
+        );
+      }
+    }
+  }
+}
+
+function lintRom(value, errors, warnings) {
+  for (const line of nonEmptyLines(value)) {
+    if (line === "N/A") continue;
+    if (!line.includes(":") && !/\b(?:WNL|WFL|limited)\b/i.test(line)) {
+      warnings.push(issue("rom", "rom.label", `ROM line has no "Label:" prefix: "${line}".`));
+    }
+    for (const m of line.matchAll(/(\d+)\s*°/g)) {
+      if (Number(m[1]) > 360) {
+        errors.push(issue("rom", "rom.degrees", `ROM value out of range: "${m[0]}".`));
+      }
+    }
+    for (const m of line.matchAll(/(\d+)\s*%/g)) {
+      if (Number(m[1]) > 100) {
+        errors.push(issue("rom", "rom.percent", `ROM percentage out of range: "${m[0]}".`));
+      }
+    }
+  }
+}
+
+function lintProcedures(value, errors) {
+  for (const line of nonEmptyLines(value)) {
+    if (!PROCEDURE_LINE_RE.test(line)) {
+      errors.push(
+        issue(
+          "procedures",
+          "procedures.format",
+          `Procedure line must be "<5-digit CPT> <description>": "${line}".`
+        )
+      );
+    }
+  }
+}
+
+function lintTemplate({ fields, resolved, abstract = false }) {
+  const own = fields || {};
+  const full = resolved || own;
+  const errors = [];
+  const warnings = [];
+
+  lintMeta(own, errors);
+
+  // Keys + types on the template's own fields
+  for (const [key, value] of Object.entries(own)) {
+    if (TEMPLATE_META_KEYS.includes(key)) continue;
+    if (!ALLOWED_TEMPLATE_KEYS.has(key)) {
+      errors.push(issue(key, "schema.unknown_key", `Unknown template field: ${key}.`));
+      continue;
+    }
+    if (typeof value !== "string") {
+      errors.push(issue(key, "schema.type", `${key} must be a string.`));
+      continue;
+    }
+    if (value && STRAY_QUOTES_RE.test(value)) {
+      errors.push(
+        issue(
+          key,
+          "value.stray_quote",
+          `${key} contains only a stray quote character (${JSON.stringify(value)}).`
+        )
+      );
+    }
+    if (NA_VARIANTS_RE.test(value) && value.trim() !== "N/A") {
+      warnings.push(issue(key, "value.na_convention", `${key} uses "${value.trim()}"; use "N/A".`));
+    }
+  }
+
+  if (typeof own.strength === "string") lintStrength(own.strength, errors, warnings);
+  if (typeof own.rom === "string") lintRom(own.rom, errors, warnings);
+  if (typeof own.procedures === "string") lintProcedures(own.procedures, errors);
+  if (
+    typeof own.frequency === "string" &&
+    own.frequency.trim() &&
+    !FREQUENCY_RE.test(own.frequency.trim())
+  ) {
+    errors.push(
+      issue(
+        "frequency",
+        "frequency.format",
+        `Frequency must look like "2wk5" or "1wk1, 2wk12": "${own.frequency}".`
+      )
+    );
+  }
+
+  // Required keys + cross-field checks on the resolved template
+  if (!abstract) {
+    for (const key of REQUIRED_TEMPLATE_KEYS) {
+      if (!(key in full)) {
+        errors.push(issue(key, "schema.required", `Missing required field: ${key}.`));
+      }
+    }
+
+    const visits = frequencyVisits(full.frequency);
+    const maxGoalVisit = goalsMaxVisit(full.goals);
+    if (visits != null && maxGoalVisit != null && maxGoalVisit !== visits) {
+      warnings.push(
+        issue(
+          "goals",
+          "goals.visit_range",
+          `Goals run to visit ${maxGoalVisit} but frequency "${full.frequency}" plans ${visits} visits.`
+        )
+      );
+    }
+  }
+
+  return { ok: errors.length === 0, errors, warnings };
+}
+
+export {
+  REQUIRED_TEMPLATE_KEYS,
+  ALLOWED_TEMPLATE_KEYS,
+  TEMPLATE_META_KEYS,
+  frequencyVisits,
+  lintTemplate,
+};
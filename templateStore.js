@@ -0,0 +1,243 @@
+// ======================= templateStore.js =======================
+// Durable, versioned eval templates (create / update / clone / rename / delete / restore).
+//
+// templates.js stays the seed: any seed template the store has not seen yet is copied in
+// as version 1 the first time its discipline is touched. After that the stored copy wins,
+// so wording changes no longer need a deploy (and deleted seeds stay deleted).
+//
+// File shape (DATA_DIR/templates.json):
+//  {
+//    "seeded": { "<discipline>": ["<seed name>", ...] },
+//    "templates": {
+//      "<id>": {
+//        id, discipline, name, version, deleted, createdAt, updatedAt,
+//        fields: { meddiag, subjective, ... },
+//        versions: [{ version, action, name, fields, deleted, savedAt, savedBy, restoredFrom? }]
+//      }
+//    }
+//  }
+//
+// versions[] is append-only; the last entry always equals the current state.
+// Actions: "seed" | "create" | "update" | "clone" | "rename" | "delete" | "restore"
+
+import crypto from "crypto";
+import { createJsonFileStore } from "./jsonStore.js";
+
+// Store errors carry an HTTP-ish status so routes can map them directly.
+function templateError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function cloneFields(fields) {
+  return JSON.parse(JSON.stringify(fields || {}));
+}
+
+function createTemplateStore({ filePath, seeds = {} }) {
+  const store = createJsonFileStore(filePath, { seeded: {}, templates: {} });
+
+  function pushVersion(entry, action, savedBy, now) {
+    entry.versions.push({
+      version: entry.version,
+      action,
+      name: entry.name,
+      fields: cloneFields(entry.fields),
+      deleted: entry.deleted,
+      savedAt: now,
+      savedBy: savedBy || null,
+    });
+  }
+
+  function newEntry(data, { discipline, name, fields, action, savedBy }) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      discipline,
+      name,
+      version: 1,
+      deleted: false,
+      createdAt: now,
+      updatedAt: now,
+      fields: cloneFields(fields),
+      versions: [],
+    };
+    pushVersion(entry, action, savedBy, now);
+    data.templates[entry.id] = entry;
+    return entry;
+  }
+
+  function change(entry, action, savedBy, mutate) {
+    const now = new Date().toISOString();
+    mutate(entry);
+    entry.version += 1;
+    entry.updatedAt = now;
+    pushVersion(entry, action, savedBy, now);
+    return entry;
+  }
+
+  // Copy seed templates the store has never seen (new seeds shipped with a deploy show up too).
+  function ensureSeeded(data, discipline) {
+    data.seeded ||= {};
+    data.templates ||= {};
+    const seen = new Set(data.seeded[discipline] || []);
+    const missing = Object.keys(seeds[discipline] || {}).filter((name) => !seen.has(name));
+    if (!missing.length) return false;
+
+    for (const name of missing) {
+      if (!findLive(data, discipline, name)) {
+        newEntry(data, { discipline, name, fields: seeds[discipline][name], action: "seed" });
+      }
+      seen.add(name);
+    }
+    data.seeded[discipline] = [...seen];
+    return true;
+  }
+
+  function findLive(data, discipline, name) {
+    return (
+      Object.values(data.templates || {}).find(
+        (t) => t.discipline === discipline && t.name === name && !t.deleted
+      ) || null
+    );
+  }
+
+  // Restore also has to find deleted templates; prefer a live one, else the latest deleted.
+  function findAny(data, discipline, name) {
+    return (
+      findLive(data, discipline, name) ||
+      Object.values(data.templates || {})
+        .filter((t) => t.discipline === discipline && t.name === name)
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)))[0] ||
+      null
+    );
+  }
+
+  function mustFindLive(data, discipline, name) {
+    const entry = findLive(data, discipline, name);
+    if (!entry) throw templateError(404, `Template not found: ${name}`);
+    return entry;
+  }
+
+  function assertNameFree(data, discipline, name) {
+    if (findLive(data, discipline, name)) {
+      throw templateError(409, `Template already exists: ${name}`);
+    }
+  }
+
+  // Read helpers seed lazily on first access, so only write when something was added.
+  function readSeeded(discipline) {
+    const data = store.read();
+    if (!ensureSeeded(data, discipline)) return data;
+    return store.update((fresh) => {
+      ensureSeeded(fresh, discipline);
+      return fresh;
+    });
+  }
+
+  // { "<name>": fields } for every live template of a discipline.
+  function all(discipline) {
+    const data = readSeeded(discipline);
+    const out = {};
+    for (const t of Object.values(data.templates)) {
+      if (t.discipline === discipline && !t.deleted) out[t.name] = t.fields;
+    }
+    return out;
+  }
+
+  function get({ discipline, name }) {
+    return findLive(readSeeded(discipline), discipline, name);
+  }
+
+  function history({ discipline, name }) {
+    const entry = findAny(readSeeded(discipline), discipline, name);
+    if (!entry) throw templateError(404, `Template not found: ${name}`);
+    return entry;
+  }
+
+  function create({ discipline, name, fields, savedBy }) {
+    return store.update((data) => {
+      ensureSeeded(data, discipline);
+      assertNameFree(data, discipline, name);
+      return newEntry(data, { discipline, name, fields, action: "create", savedBy });
+    });
+  }
+
+  function update({ discipline, name, fields, savedBy }) {
+    return store.update((data) => {
+      ensureSeeded(data, discipline);
+      const entry = mustFindLive(data, discipline, name);
+      return change(entry, "update", savedBy, (e) => {
+        e.fields = cloneFields(fields);
+      });
+    });
+  }
+
+  function clone({ discipline, name, newName, savedBy }) {
+    return store.update((data) => {
+      ensureSeeded(data, discipline);
+      const source = mustFindLive(data, discipline, name);
+      assertNameFree(data, discipline, newName);
+      const entry = newEntry(data, {
+        discipline,
+        name: newName,
+        fields: source.fields,
+        action: "clone",
+        savedBy,
+      });
+      entry.clonedFrom = { id: source.id, name: source.name, version: source.version };
+      return entry;
+    });
+  }
+
+  function rename({ discipline, name, newName, savedBy }) {
+    return store.update((data) => {
+      ensureSeeded(data, discipline);
+      const entry = mustFindLive(data, discipline, name);
+      if (newName !== name) assertNameFree(data, discipline, newName);
+      return change(entry, "rename", savedBy, (e) => {
+        e.name = newName;
+      });
+    });
+  }
+
+  // Soft delete: the history is kept so the template can be restored later.
+  function remove({ discipline, name, savedBy }) {
+    return store.update((data) => {
+      ensureSeeded(data, discipline);
+      const entry = mustFindLive(data, discipline, name);
+      return change(entry, "delete", savedBy, (e) => {
+        e.deleted = true;
+      });
+    });
+  }
+
+  // Bring back the fields (and name) of an earlier version as a new version.
+  function restore({ discipline, name, version, savedBy }) {
+    return store.update((data) => {
+      ensureSeeded(data, discipline);
+      const entry = findAny(data, discipline, name);
+      if (!entry) throw templateError(404, `Template not found: ${name}`);
+
+      const target = entry.versions.find((v) => v.version === version);
+      if (!target) throw templateError(404, `Version ${version} not found for template: ${name}`);
+
+      const owner = findLive(data, discipline, target.name);
+      if (owner && owner.id !== entry.id) {
+        throw templateError(409, `Template already exists: ${target.name}`);
+      }
+
+      change(entry, "restore", savedBy, (e) => {
+        e.name = target.name;
+        e.fields = cloneFields(target.fields);
+        e.deleted = false;
+      });
+      entry.versions[entry.versions.length - 1].restoredFrom = version;
+      return entry;
+    });
+  }
+
+  return { all, get, history, create, update, clone, rename, remove, restore };
+}
+
+export { createTemplateStore };
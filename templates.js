@@ -1,12 +1,14 @@
 // templates.js (AUTO-CONVERTED from pt_templates.py)
-// ESM module exporting PT/OT eval templates for server.js
+// ESM module exporting PT/OT/SLP eval templates for server.js
+// Templates may set "extends" (parent name, or "PT:<name>" across disciplines), "overlays"
+// and "abstract"; only the fields that differ from the parent are listed (see server.js).
 
 export const PT_TEMPLATES = {
   "BPPV": {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "BPPV",
@@ -42,7 +44,7 @@ export const PT_TEMPLATES = {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "Muscle Weakness",
@@ -60,7 +62,7 @@ export const PT_TEMPLATES = {
     "pain_interferes": "Functional mobility, ADLs, and gait",
     "meds": "See medication list",
     "tests": "N/A",
-    "dme": "None",
+    "dme": "N/A",
     "plof": "Independent with mobility and ADLs",
     "posture": "Forward head lean, rounded shoulders, protracted scapular, slouch posture, decreased sitting postural awareness, loss of lumbar lordosis",
     "rom": "B LE Gross ROM: WNL",
@@ -79,7 +81,7 @@ export const PT_TEMPLATES = {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "Mechanical Neck Pain",
@@ -116,7 +118,7 @@ export const PT_TEMPLATES = {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "Shoulder Impingement Syndrome",
@@ -134,7 +136,7 @@ export const PT_TEMPLATES = {
     "pain_interferes": "Cooking, cleaning, don/doff clothes",
     "meds": "See medication list",
     "tests": "See MRI results",
-    "dme": "None",
+    "dme": "N/A",
     "plof": "Indep with all ADLs without pain",
     "posture": "Forward head lean, rounded shoulders, protracted scapular, slouch posture, decrease sitting postural awareness. Shoulder hiking during elevation.",
     "rom": "ROM: Left / Right\nShoulder Flex: WNL/WNL\nShoulder Ext: WNL/WNL\nShoulder IR: WNL/WNL\nShoulder ER: WNL/WNL\nShoulder Abd: WNL/WNL\nShoulder Add: WNL/WNL\nGross PROM:",
@@ -148,21 +150,20 @@ export const PT_TEMPLATES = {
     "intervention": "Manual Therapy (STM/IASTM/Joint Mob), Therapeutic Exercise, Therapeutic Activities, Neuromuscular Re-education, Modalities ice/heat 10-15min, E-Stim, Ultrasound, fall/injury prevention training, safety education/training, HEP education/training",
     "procedures": "97161 Low Complexity\n97162 Moderate Complexity\n97163 High Complexity\n97140 Manual Therapy\n97110 Therapeutic Exercise\n97530 Therapeutic Activity\n97112 Neuromuscular Re-ed\n97116 Gait Training"
   },
-  "Lumbar - Generalized": {
+  "Lumbar - Base": {
+    "abstract": true,
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
-    "meddiag": "LBP",
     "history": "",
     "subjective": "Pt reports having LBP and is limiting daily functional activities. Pt would like to decrease pain and improve activity tolerance and return to PLOF. Pt agrees to PT evaluation.",
-    "pain_location": "L-spine paraspinal, B QL, B gluteus medius",
     "pain_onset": "Chronic",
     "pain_condition": "Chronic",
     "pain_mechanism": "Muscle tension, stenosis, increased tone, structural changes",
-    "pain_rating": "5/10, 0/10, 7/10",
+    "pain_rating": "P: 5/10, B: 0/10, W: 7/10",
     "pain_frequency": "Intermittent",
     "pain_description": "Sharp, Tense, Aching.",
     "pain_aggravating": "Sitting, standing, walking, forward bending, lifting/pulling.",
@@ -172,134 +173,87 @@ export const PT_TEMPLATES = {
     "tests": "N/A",
     "dme": "N/A",
     "plof": "Independent with mobility and ADLs",
-    "posture": "Forward head lean, rounded shoulders, protracted scapular, slouch posture, decrease sitting postural awareness, loss of lumbar lordosis.",
     "rom": "Trunk Flexion: 50% limited\nTrunk Extension: 50% limited\nTrunk SB Left: 50% limited\nTrunk SB Right: 50% limited\nTrunk Rotation Left: 50% limited\nTrunk Rotation Right: 50% limited",
-    "strength": "Gross Core Strength: 3/5\nGross Hip Strength: L/R  3/5; 3/5\nGross Knee Strength: L/R  3/5; 3/5\nGross Ankle Strength: L/R  3/5; 3/5",
-    "palpation": "TTP: B QL, B gluteus medius, B piriformis, B paraspinal.\nJoint hypomobility: L1-L5 with central PA.\nIncreased paraspinal and gluteus medius tone",
-    "functional": "Supine Sit Up Test: Unable\n30 seconds Chair Sit to Stand: 6x w/ increase LBP\nSingle Leg Balance Test: B LE: <1 sec with loss of balance.\nSingle Heel Raises Test: Unremarkable\nWalking on Toes:\nWalking on Heels:\nFunctional Squat:",
-    "special": "(-) Slump Test\n(-) Unilateral SLR Test\n(-) Double SLR\n(-) Spring/Central PA\n(-) Piriformis test\n(-) SI Cluster Test",
+    "strength": "Gross Core Strength: 3/5\nGross Hip Strength: 3+/5 B\nGross Knee Strength: 3+/5 B\nGross Ankle Strength: 3+/5 B",
+    "palpation": "TTP: B QL, B gluteus medius, B piriformis, B paraspinal\nSegmental hypomobility: L1-L5 with central PA\nIncreased muscular tone in lumbar extensors and gluteals",
     "impairments": "Prolonged sitting: 5 min\nStanding: 5 min\nWalking: 5 min\nBending, sweeping, cleaning, lifting: 5 min.",
-    "goals": "Short-Term Goals (1–12 visits):\n1. Pt will report a reduction in low back pain to ≤1/10 to allow comfortable participation in functional activities.\n2. Pt will demonstrate a ≥10% improvement in trunk AROM to enhance mobility and reduce risk of reinjury during daily tasks.\n3. Pt will improve gross LE strength by at least 0.5 muscle grade to enhance safety during ADLs and minimize pain/injury risk.\n4. Pt will self-report ≥50% improvement in functional limitations related to ADLs.\nLong-Term Goals (13–25 visits):\n1. Pt will demonstrate B LE strength of ≥4/5 to independently and safely perform all ADLs.\n2. Pt will complete ≥14 repetitions on the 30-second chair sit-to-stand test to reduce fall risk.\n3. Pt will tolerate ≥30 minutes of activity to safely resume household tasks without limitation.\n4. Pt will demonstrate independence with HEP, using proper body mechanics and strength to support safe return to ADLs without difficulty.",
     "frequency": "1wk1, 2wk12",
     "intervention": "Manual Therapy (STM/IASTM/Joint Mob), Therapeutic Exercise, Therapeutic Activities, Neuromuscular Re-education, Gait Training, Balance Training, Pain Management Training, Modalities ice/heat 10-15min, E-Stim, Ultrasound, fall/injury prevention training, safety education/training, HEP education/training.",
     "procedures": "97161 Low Complexity\n97162 Moderate Complexity\n97163 High Complexity\n97140 Manual Therapy\n97110 Therapeutic Exercise\n97530 Therapeutic Activity\n97112 Neuromuscular Re-ed\n97116 Gait Training"
   },
+  "Lumbar - Generalized": {
+    "extends": "Lumbar - Base",
+    "meddiag": "LBP",
+    "pain_location": "L-spine paraspinal, B QL, B gluteus medius",
+    "pain_rating": "5/10, 0/10, 7/10",
+    "posture": "Forward head lean, rounded shoulders, protracted scapular, slouch posture, decrease sitting postural awareness, loss of lumbar lordosis.",
+    "strength": "Gross Core Strength: 3/5\nGross Hip Strength: L/R  3/5; 3/5\nGross Knee Strength: L/R  3/5; 3/5\nGross Ankle Strength: L/R  3/5; 3/5",
+    "palpation": "TTP: B QL, B gluteus medius, B piriformis, B paraspinal.\nJoint hypomobility: L1-L5 with central PA.\nIncreased paraspinal and gluteus medius tone",
+    "functional": "Supine Sit Up Test: Unable\n30 seconds Chair Sit to Stand: 6x w/ increase LBP\nSingle Leg Balance Test: B LE: <1 sec with loss of balance.\nSingle Heel Raises Test: Unremarkable\nWalking on Toes:\nWalking on Heels:\nFunctional Squat:",
+    "special": "(-) Slump Test\n(-) Unilateral SLR Test\n(-) Double SLR\n(-) Spring/Central PA\n(-) Piriformis test\n(-) SI Cluster Test",
+    "goals": "Short-Term Goals (1–12 visits):\n1. Pt will report a reduction in low back pain to ≤1/10 to allow comfortable participation in functional activities.\n2. Pt will demonstrate a ≥10% improvement in trunk AROM to enhance mobility and reduce risk of reinjury during daily tasks.\n3. Pt will improve gross LE strength by at least 0.5 muscle grade to enhance safety during ADLs and minimize pain/injury risk.\n4. Pt will self-report ≥50% improvement in functional limitations related to ADLs.\nLong-Term Goals (13–25 visits):\n1. Pt will demonstrate B LE strength of ≥4/5 to independently and safely perform all ADLs.\n2. Pt will complete ≥14 repetitions on the 30-second chair sit-to-stand test to reduce fall risk.\n3. Pt will tolerate ≥30 minutes of activity to safely resume household tasks without limitation.\n4. Pt will demonstrate independence with HEP, using proper body mechanics and strength to support safe return to ADLs without difficulty."
+  },
   "Lumbar - Radiculopathy": {
-    "gender": "",
-    "dob": "",
-    "weight": "",
-    "height": "”",
-    "bmi": "",
-    "bmi_category": "",
+    "extends": "Lumbar - Base",
     "meddiag": "Lumbar Radiculopathy",
-    "history": "",
     "subjective": "Pt reports having LBP with radiating symptoms to the B LE and is limiting daily functional activities. Pt would like to decrease pain/radiating symptoms while improve activity tolerance and return to PLOF. Pt agrees to PT evaluation.",
     "pain_location": "B QL, B gluteus medius, B feet/toes numbness",
-    "pain_onset": "Chronic",
-    "pain_condition": "Chronic",
-    "pain_mechanism": "Muscle tension, stenosis, increased tone, structural changes",
-    "pain_rating": "P: 5/10, B: 0/10, W: 7/10",
-    "pain_frequency": "Intermittent",
-    "pain_description": "Sharp, Tense, Aching.",
-    "pain_aggravating": "Sitting, standing, walking, forward bending, lifting/pulling.",
-    "pain_relieved": "Pain meds prn and rest.",
-    "pain_interferes": "Functional mobility, ADLs, sleep.",
-    "meds": "See medication list",
-    "tests": "N/A",
-    "dme": "N/A",
-    "plof": "Independent with mobility and ADLs",
     "posture": "Forward head lean, rounded shoulders, protracted scapulae, slouch posture, decreased sitting postural awareness, loss of lumbar lordosis.",
-    "rom": "Trunk Flexion: 50% limited\nTrunk Extension: 50% limited\nTrunk SB Left: 50% limited\nTrunk SB Right: 50% limited\nTrunk Rotation Left: 50% limited\nTrunk Rotation Right: 50% limited",
     "strength": "Gross Core Strength: 3/5\nGross Hip Strength: L/R  3+/5; 3+/5\nGross Knee Strength: L/R  3+/5; 3+/5\nGross Ankle Strength: L/R  3+/5; 3+/5",
     "palpation": "TTP: B QL, B gluteus medius, B piriformis, B paraspinals\nJoint hypomobility: L1-L5 with central PA\nIncreased paraspinal and gluteus medius tone",
     "functional": "Supine Sit Up Test: Unable\n30 seconds Chair Sit to Stand: 6x w/ increase LBP\nSingle Leg Balance Test: B LE: <1 sec with loss of balance.\nSingle Heel Raises Test: Unremarkable\nWalking on Toes: Unremarkable\nWalking on Heels: Unremarkable\nFunctional Squat: Impaired",
     "special": "(-) McKenzie Repeated Ext/Flexion\n(-) Slump Test\n(-) Unilateral SLR Test\n(-) Double SLR\n(-) Spring/Central PA\n(-) Distraction/traction Test\n(-) Piriformis test\n(-) SI Cluster Test",
-    "impairments": "Prolonged sitting: 5 min\nStanding: 5 min\nWalking: 5 min\nBending, sweeping, cleaning, lifting: 5 min.",
-    "summary": "Pt meets criteria for the symptom modulation classification and was seen for an initial outpatient physical therapy evaluation, including a comprehensive physical examination, functional mobility assessment, and pain assessment. The evaluation findings are consistent with lumbar radiculopathy, characterized by chronic low back pain with radiating symptoms, likely due to nerve root irritation and degenerative lumbar spine changes. Pt received education on movement strategies to minimize neural provocation, pain management techniques, activity modification, and instruction in a tailored home exercise program. Functional impairments are primarily related to nerve-related pain, limited trunk mobility, and guarded movement patterns, all of which restrict performance of ADLs. Given the patient's motivation and active participation, the prognosis is favorable. Skilled PT is indicated to reduce radicular symptoms, restore pain-free mobility, improve functional capacity, and facilitate return to prior level of function.",
     "goals": "Short-Term Goals (1–12 visits):\n1. Pt will report low back and leg pain reduced to 1/10 to safely perform mobility tasks.\n2. Pt will improve trunk and lumbar mobility by 10% without symptom peripheralization.\n3. Pt will improve LE motor control and strength by 0.5 grade to support safe ADLs.\n4. Pt will report 50% improvement in activity tolerance and fewer radicular symptoms with ADLs.\n\nLong-Term Goals (13–25 visits):\n1. Pt will demonstrate B LE strength of 4/5 to perform ADLs without triggering symptoms.\n2. Pt will complete 14 reps on 30-second sit-to-stand test without increased pain.\n3. Pt will tolerate 30 minutes of activity (e.g., standing, walking, chores) without symptom flare-up.\n4. Pt will independently follow a directional-preference HEP with proper posture and mechanics.",
-    "frequency": "1wk1, 2wk12",
-    "intervention": "Manual Therapy (STM/IASTM/Joint Mob), Therapeutic Exercise, Therapeutic Activities, Neuromuscular Re-education, Gait Training, Balance Training, Pain Management Training, Modalities ice/heat 10-15min, E-Stim, Ultrasound, fall/injury prevention training, safety education/training, HEP education/training.",
-    "procedures": "97161 Low Complexity\n97162 Moderate Complexity\n97163 High Complexity\n97140 Manual Therapy\n97110 Therapeutic Exercise\n97530 Therapeutic Activity\n97112 Neuromuscular Re-ed\n97116 Gait Training"
+    "summary": "Pt meets criteria for the symptom modulation classification and was seen for an initial outpatient physical therapy evaluation, including a comprehensive physical examination, functional mobility assessment, and pain assessment. The evaluation findings are consistent with lumbar radiculopathy, characterized by chronic low back pain with radiating symptoms, likely due to nerve root irritation and degenerative lumbar spine changes. Pt received education on movement strategies to minimize neural provocation, pain management techniques, activity modification, and instruction in a tailored home exercise program. Functional impairments are primarily related to nerve-related pain, limited trunk mobility, and guarded movement patterns, all of which restrict performance of ADLs. Given the patient's motivation and active participation, the prognosis is favorable. Skilled PT is indicated to reduce radicular symptoms, restore pain-free mobility, improve functional capacity, and facilitate return to prior level of function."
   },
   "Lumbar - Strain/Sprain": {
-    "gender": "",
-    "dob": "",
-    "weight": "",
-    "height": "”",
-    "bmi": "",
-    "bmi_category": "",
+    "extends": "Lumbar - Base",
     "meddiag": "Acute/Subacute Lumbar Strain/Sprain",
-    "history": "",
-    "subjective": "Pt reports having LBP and is limiting daily functional activities. Pt would like to decrease pain and improve activity tolerance and return to PLOF. Pt agrees to PT evaluation.",
     "pain_location": "L-spine paraspinals, B QL, B gluteus medius",
     "pain_onset": "Acute/subacute with immediate onset exacerbations",
     "pain_condition": "Acute/subacute lumbar strain/sprain",
     "pain_mechanism": "Repetitive mechanical stress, poor postural habits, and overuse leading to soft tissue inflammation, muscular guarding, and segmental movement dysfunction",
-    "pain_rating": "P: 5/10, B: 0/10, W: 7/10",
     "pain_frequency": "Intermittent; worsened by prolonged or repetitive postures, bending, lifting, and transitions",
     "pain_description": "Dull, aching low back pain with localized stiffness and tightness in the lumbar and hip musculature; no radicular or neurological symptoms reported",
     "pain_aggravating": "Prolonged sitting or standing, forward bending, lifting, poor trunk control, transitional movements",
     "pain_relieved": "Rest, gentle stretching, postural correction, heat, activity pacing, and PRN pain medications",
     "pain_interferes": "Functional mobility, prolonged static postures, household chores, ADLs, and sleep",
     "meds": "See med list",
-    "tests": "N/A",
-    "dme": "N/A",
-    "plof": "Independent with mobility and ADLs",
     "posture": "FHP, rounded shoulders, scapular protraction, slouched sitting w/ reduced L-spine lordosis and increased T/L kyphosis, mild trunk flexion bias during standing/gait, consistent with symptom relief in flexed positions",
     "rom": "Flexion: 50% limited; mild increase in LBP\nExtension: 50% limited; provokes localized LBP, no symptom referral\nSide Bend L/R: 50% limited with stiffness and end-range discomfort\nRotation L/R: 50% limited, guarded, non-provocative",
-    "strength": "Gross Core Strength: 3/5\nGross Hip Strength: 3+/5 B\nGross Knee Strength: 3+/5 B\nGross Ankle Strength: 3+/5 B",
-    "palpation": "TTP: B QL, B gluteus medius, B piriformis, B paraspinal\nSegmental hypomobility: L1-L5 with central PA\nIncreased muscular tone in lumbar extensors and gluteals",
     "functional": "30 seconds Chair Sit to Stand: 6x w/ increase LBP; signs of LE fatigue\nSingle Leg Balance Test: B LE: <1 sec with loss of balance\nSingle Heel Raises Test: Unremarkable\nWalking on Heel/Toes: Mild difficulty due to fatigue; not neurologically driven\nFunctional Squat: Limited to ~25% depth; LBP reproduced with lumbar and pelvic compensation",
     "special": "(-) Slump Test: Mild distal pull; no symptom reproduction (non-neural pattern)\n(-) SLR Test: No reproduction of LE symptoms; hamstring tightness only\n(-) Double SLR\n(-) Spring Test\n(-) Piriformis Test\n(-) SI Cluster",
     "impairments": "Sitting: ~5 min\nStanding: ~5 min\nWalking: ~5 min\nHousehold Chores: Tasks such as bending, lifting, and sweeping provoke localized LBP; overall activity tolerance reduced due to soft tissue irritation and poor trunk control",
-    "summary": "Pt meets criteria for the symptom modulation classification and was seen for an initial outpatient physical therapy evaluation, which included a comprehensive physical examination, functional mobility assessment, and pain evaluation. Findings are consistent with lumbar strain/sprain, presenting as chronic mechanical low back pain without signs of radiculopathy, likely due to cumulative stress, soft tissue overload, and postural dysfunction. Pt received education on posture correction, movement strategies to reduce mechanical strain on the lumbar spine, pain management techniques, and activity pacing. A core stabilization and flexibility-based home exercise program was initiated to reduce soft tissue tension, improve trunk support, and enhance movement efficiency. Functional limitations are primarily related to muscular tightness, poor postural endurance, and impaired trunk control, which interfere with ADLs and tolerance for prolonged sitting, standing, or transitional activities. Given the patient’s motivation and active participation, the prognosis is favorable. Skilled physical therapy is indicated to decrease soft tissue pain, restore movement quality, improve postural control, and support the patient’s return to their prior level of function.",
     "goals": "Short-Term Goals (1–12 visits):\n1. Pt will report LBP =1/10 to safely participate in ADLs and mobility.\n2. Pt will improve trunk AROM by 10% (flexion, extension, rotation) without pain or guarding.\n3. Pt will improve B LE and core strength by 0.5 grade to support posture and movement.\n4. Pt will report 50% better activity tolerance with less tightness and stiffness.\n\nLong-Term Goals (13–25 visits):\n1. Pt will demonstrate B LE strength of 4/5 and core control to perform ADLs without LBP.\n2. Pt will complete 14 sit-to-stand reps in 30 sec without increased pain.\n3. Pt will tolerate 30 min of light activity without symptoms or compensation.\n4. Pt will be independent with a posture-focused core and stretching HEP.",
-    "frequency": "1wk1, 2wk12",
     "intervention": "Manual Therapy (STM/IASTM/Joint Mob), Therapeutic Exercise, Therapeutic Activities, Neuromuscular Re-education, Gait Training, Balance Training, Pain Management Training, Modalities ice/heat 10-15min, E-Stim, Ultrasound, fall/injury prevention training, mechanical traction, safety education/training, HEP education/training.",
-    "procedures": "97161 Low Complexity\n97162 Moderate Complexity\n97163 High Complexity\n97140 Manual Therapy\n97110 Therapeutic Exercise\n97530 Therapeutic Activity\n97112 Neuromuscular Re-ed\n97116 Gait Training"
+    "summary": "Pt meets criteria for the symptom modulation classification and was seen for an initial outpatient physical therapy evaluation, which included a comprehensive physical examination, functional mobility assessment, and pain evaluation. Findings are consistent with lumbar strain/sprain, presenting as chronic mechanical low back pain without signs of radiculopathy, likely due to cumulative stress, soft tissue overload, and postural dysfunction. Pt received education on posture correction, movement strategies to reduce mechanical strain on the lumbar spine, pain management techniques, and activity pacing. A core stabilization and flexibility-based home exercise program was initiated to reduce soft tissue tension, improve trunk support, and enhance movement efficiency. Functional limitations are primarily related to muscular tightness, poor postural endurance, and impaired trunk control, which interfere with ADLs and tolerance for prolonged sitting, standing, or transitional activities. Given the patient’s motivation and active participation, the prognosis is favorable. Skilled physical therapy is indicated to decrease soft tissue pain, restore movement quality, improve postural control, and support the patient’s return to their prior level of function."
   },
   "Lumbar - Stenosis": {
-    "gender": "",
-    "dob": "",
-    "weight": "",
-    "height": "”",
-    "bmi": "",
-    "bmi_category": "",
+    "extends": "Lumbar - Base",
     "meddiag": "Lumbar Stenosis",
-    "history": "",
-    "subjective": "Pt reports having LBP and is limiting daily functional activities. Pt would like to decrease pain and improve activity tolerance and return to PLOF. Pt agrees to PT evaluation.",
     "pain_location": "L-spine paraspinals, B QL, B gluteus medius, with radiating discomfort into bilateral posterior thighs and calves (neurogenic distribution)",
     "pain_onset": "Chronic with gradual onset and episodic exacerbations",
     "pain_condition": "Chronic lumbar spinal stenosis",
     "pain_mechanism": "Degenerative lumbar spinal stenosis with central and/or foraminal narrowing, nerve root compression, facet arthropathy, and increased muscular tension",
-    "pain_rating": "P: 5/10, B: 0/10, W: 7/10",
     "pain_frequency": "Intermittent, worsened by prolonged standing/walking, relieved by sitting/flexion",
     "pain_description": "Dull ache, burning, and intermittent tingling in LEs consistent with neurogenic claudication",
     "pain_aggravating": "Standing >5 min, walking, lumbar extension, transitional movements, lifting",
     "pain_relieved": "Sitting, forward bending, use of lumbar support, rest, PRN pain medication",
     "pain_interferes": "Prolonged standing and ambulation, community mobility, ADLs, and sleep quality",
-    "meds": "See medication list",
-    "tests": "N/A",
-    "dme": "N/A",
     "plof": "Independent with mobility and ADLs.",
     "posture": "FHP, rounded shoulders, scapular protraction, slouched sitting w/ reduced lumbar lordosis and increased T/L kyphosis, mild trunk flexion bias during standing and gait, consistent with symptom relief in flexed positions",
     "rom": "Flexion: 50% limited; improves LE symptom relief (flexion-biased relief)\nExtension: 50% limited; provokes LBP and increased LE discomfort—no centralization observed\nSide Bend L/R: 50% limited w/ stiffness and mild pain at end-range\nRotation L/R: 50% limited w/ stiffness and mild pain at end-range",
-    "strength": "Gross Core Strength: 3/5\nGross Hip Strength: 3+/5 B\nGross Knee Strength: 3+/5 B\nGross Ankle Strength: 3+/5 B",
-    "palpation": "TTP: B QL, B gluteus medius, B piriformis, B paraspinal\nSegmental hypomobility: L1-L5 with central PA\nIncreased muscular tone in lumbar extensors and gluteals",
     "functional": "30 seconds Chair Sit to Stand: 6x w/ increase LBP; signs of LE fatigue\nSingle Leg Balance Test: B LE: <1 sec with loss of balance\nSingle Heel Raises Test: Unremarkable\nWalking on Heel/Toes: Difficulty initiating and maintaining due to LE discomfort and fatigue\nFunctional Squat: Limited to 25% depth; reproduction of posterior LE symptoms and LBP",
     "special": "(+) Slump Test: Mild distal pull, no reproduction of symptoms\n(+) SLR Test: Reproduction of L LE symptoms at 50° (positive for neural tension)\n(-) Double SLR\n(-) Spring Test\n(-) Piriformis Test\n(-) SI Cluster",
     "impairments": "Sitting: 5 min\nStanding: 5 min\nWalking: 5 min\nProvokes L-spine pain and LE symptoms; limited by endurance and mobility restriction with household chores",
-    "summary": "Pt meets criteria for the symptom modulation classification and was seen for an initial outpatient physical therapy evaluation, which included a comprehensive physical examination, functional mobility assessment, and pain evaluation. Findings are consistent with lumbar spinal stenosis, presenting as chronic low back pain with associated neurogenic symptoms in the lower extremities, likely secondary to central canal or foraminal narrowing and degenerative lumbar spine changes. Pt received education on body mechanics and movement strategies to reduce neural compression, pain management techniques, activity modification, and was instructed in a flexion-biased home exercise program aimed at symptom relief and improved mobility. Functional limitations are primarily due to position-dependent nerve compression, reduced lumbar extension tolerance, and impaired standing and walking endurance, all of which interfere with ADLs and community mobility. Given the patient's motivation and willingness to participate in therapy, the prognosis is favorable. Skilled physical therapy is indicated to reduce neurogenic symptoms, improve pain-free function, enhance mobility, and support the patient’s return to prior level of independence.",
     "goals": "Short-Term Goals (1–12 visits):\n1. Pt will report low back and LE pain reduced to 1/10 for safe ADLs and mobility.\n2. Pt will improve trunk AROM (esp. flexion) by 10% without worsening symptoms.\n3. Pt will improve B LE strength and motor control by 0.5 grade for safer ambulation.\n4. Pt will report 50% better tolerance with fewer LE symptoms during standing/walking.\n\nLong-Term Goals (13–25 visits):\n1. Pt will demonstrate B LE strength of 4/5 to perform ADLs without claudication.\n2. Pt will complete 14 sit-to-stand reps in 30 sec without increased LBP or LE pain.\n3. Pt will tolerate 30 min of upright activity without symptom flare or decline.\n4. Pt will be independent with a flexion-biased HEP using proper posture and pacing.",
-    "frequency": "1wk1, 2wk12",
-    "intervention": "Manual Therapy (STM/IASTM/Joint Mob), Therapeutic Exercise, Therapeutic Activities, Neuromuscular Re-education, Gait Training, Balance Training, Pain Management Training, Modalities ice/heat 10-15min, E-Stim, Ultrasound, fall/injury prevention training, safety education/training, HEP education/training.",
-    "procedures": "97161 Low Complexity\n97162 Moderate Complexity\n97163 High Complexity\n97140 Manual Therapy\n97110 Therapeutic Exercise\n97530 Therapeutic Activity\n97112 Neuromuscular Re-ed\n97116 Gait Training"
+    "summary": "Pt meets criteria for the symptom modulation classification and was seen for an initial outpatient physical therapy evaluation, which included a comprehensive physical examination, functional mobility assessment, and pain evaluation. Findings are consistent with lumbar spinal stenosis, presenting as chronic low back pain with associated neurogenic symptoms in the lower extremities, likely secondary to central canal or foraminal narrowing and degenerative lumbar spine changes. Pt received education on body mechanics and movement strategies to reduce neural compression, pain management techniques, activity modification, and was instructed in a flexion-biased home exercise program aimed at symptom relief and improved mobility. Functional limitations are primarily due to position-dependent nerve compression, reduced lumbar extension tolerance, and impaired standing and walking endurance, all of which interfere with ADLs and community mobility. Given the patient's motivation and willingness to participate in therapy, the prognosis is favorable. Skilled physical therapy is indicated to reduce neurogenic symptoms, improve pain-free function, enhance mobility, and support the patient’s return to prior level of independence."
   },
   "Knee - OA": {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "Bilateral Knee Osteoarthritis",
@@ -336,7 +290,7 @@ export const PT_TEMPLATES = {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "S/P TKA, Pain in R Knee, Pain in Left Knee",
@@ -376,7 +330,7 @@ export const OT_TEMPLATES = {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "",
@@ -412,7 +366,7 @@ export const OT_TEMPLATES = {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "Muscle Weakness",
@@ -430,7 +384,7 @@ export const OT_TEMPLATES = {
     "pain_interferes": "Functional mobility, ADLs, and gait",
     "meds": "See medication list",
     "tests": "N/A",
-    "dme": "None",
+    "dme": "N/A",
     "plof": "Independent with mobility and ADLs",
     "posture": "Forward head lean, rounded shoulders, protracted scapular, slouch posture, decreased sitting postural awareness, loss of lumbar lordosis",
     "rom": "B LE Gross ROM: WNL",
@@ -449,7 +403,7 @@ export const OT_TEMPLATES = {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "Shoulder Pain",
@@ -485,7 +439,7 @@ export const OT_TEMPLATES = {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "TBI",
@@ -521,7 +475,7 @@ export const OT_TEMPLATES = {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "Knee OA",
@@ -557,7 +511,7 @@ export const OT_TEMPLATES = {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "Mechanical Neck Pain",
@@ -590,47 +544,26 @@ export const OT_TEMPLATES = {
     "procedures": "97161 Low Complexity\n97162 Mod Complexity\n97163 High Complexity\n97140 Manual Therapy\n97110 Therapeutic Exercise\n97530 Therapeutic Activity\n97112 Neuromuscular Re-ed"
   },
   "Lumbar - Generalized": {
-    "gender": "",
-    "dob": "",
-    "weight": "",
-    "height": "”",
-    "bmi": "",
-    "bmi_category": "",
-    "meddiag": "LBP",
-    "history": "",
+    "extends": "PT:Lumbar - Generalized",
     "subjective": "Pt reports having LBP and is limiting daily functional activities. Pt would like to decrease pain and improve activity tolerance and return to PLOF. Pt agrees to OT evaluation.",
-    "pain_location": "L-spine paraspinal, B QL, B gluteus medius",
-    "pain_onset": "Chronic",
-    "pain_condition": "Chronic",
-    "pain_mechanism": "Muscle tension, stenosis, increased tone, structural changes",
     "pain_rating": "P: 5/10, B: 0/10, W: 7/10",
-    "pain_frequency": "Intermittent",
     "pain_description": "Sharp, Tense, Aching",
     "pain_aggravating": "Sitting, standing, walking, forward bending, lifting/pulling",
     "pain_relieved": "Pain meds prn and rest",
     "pain_interferes": "Functional mobility, ADLs, sleep",
-    "meds": "See medication list",
-    "tests": "N/A",
-    "dme": "N/A",
-    "plof": "Independent with mobility and ADLs",
     "posture": "Forward head lean, rounded shoulders, protracted scapular, slouch posture, decrease sitting postural awareness, loss of lumbar lordosis",
-    "rom": "Trunk Flexion: 50% limited\nTrunk Extension: 50% limited\nTrunk SB Left: 50% limited\nTrunk SB Right: 50% limited\nTrunk Rotation Left: 50% limited\nTrunk Rotation Right: 50% limited",
     "strength": "Gross Core Strength: 3/5 B\nGross Hip Strength: 3/5 B\nGross Knee Strength: 3/5 B\nGross Ankle Strength: 3/5 B",
     "palpation": "TTP: B QL, B gluteus medius, B piriformis, B paraspinal\nJoint hypomobility: L1-L5 with central PA\nIncreased paraspinal and gluteus medius tone",
     "functional": "Supine Sit Up Test: Unable\n30 seconds Chair Sit to Stand: 6x w/ increase LBP\nSingle Leg Balance Test: B LE <1 sec with loss of balance\nSingle Heel Raises Test: Unremarkable\nWalking on Toes: Not assessed\nWalking on Heels: Not assessed\nFunctional Squat: Not assessed",
-    "special": "(-) Slump Test\n(-) Unilateral SLR Test\n(-) Double SLR\n(-) Spring/Central PA\n(-) Piriformis test\n(-) SI Cluster Test",
     "impairments": "Prolonged sitting: 5 min\nStanding: 5 min\nWalking: 5 min\nBending, sweeping, cleaning, lifting: 5 min",
     "summary": "Pt was seen for an initial occupational therapy evaluation, which included a physical examination, functional mobility assessment, and pain assessment. Pt also received education on functional mobility impairments related to their current condition, instruction in a home exercise program, pain management strategies, activities modification education/training, and development of goals and a plan of care to facilitate a return to their prior level of function. Furthermore, pt presents with chronic low back pain and symptoms associated with muscle tension, degenerative spinal changes, and muscle tension leading to pain, all of which limit performance of activities of daily living. Due to the patient’s motivation and willingness to participate in therapy, the prognosis is favorable. Skilled outpatient occupational therapy is indicated to improve functional mobility, reduce pain, enhance quality of life, and support the patient’s return to PLOF.",
-    "goals": "Short-Term Goals (1–12 visits):\n1. Pt will report a reduction in low back pain to =1/10 to allow safe and comfortable participation in functional activities.\n2. Pt will demonstrate a =10% improvement in trunk AROM to enhance mobility and reduce risk of reinjury during daily tasks.\n3. Pt will improve gross LE strength by at least 0.5 muscle grade to enhance safety during ADLs and minimize pain/injury risk.\n4. Pt will self-report =50% improvement in functional limitations related to ADLs.\n\nLong-Term Goals (13–25 visits):\n1. Pt will demonstrate B LE strength of =4/5 to independently and safely perform all ADLs.\n2. Pt will complete =14 repetitions on the 30-second chair sit-to-stand test to reduce fall risk.\n3. Pt will tolerate =30 minutes of activity to safely resume household tasks without limitation.\n4. Pt will demonstrate independence with HEP, using proper body mechanics and strength to support safe return to ADLs without difficulty.",
-    "frequency": "1wk1, 2wk12",
-    "intervention": "Manual Therapy (STM/IASTM/Joint Mob), Therapeutic Exercise, Therapeutic Activities, Neuromuscular Re-education, Gait Training, Balance Training, Pain Management Training, Modalities ice/heat 10-15min, E-Stim, Ultrasound, fall/injury prevention training, safety education/training, HEP education/training.",
-    "procedures": "97161 Low Complexity\n97162 Moderate Complexity\n97163 High Complexity\n97140 Manual Therapy\n97110 Therapeutic Exercise\n97530 Therapeutic Activity\n97112 Neuromuscular Re-ed\n97116 Gait Training"
+    "goals": "Short-Term Goals (1–12 visits):\n1. Pt will report a reduction in low back pain to =1/10 to allow safe and comfortable participation in functional activities.\n2. Pt will demonstrate a =10% improvement in trunk AROM to enhance mobility and reduce risk of reinjury during daily tasks.\n3. Pt will improve gross LE strength by at least 0.5 muscle grade to enhance safety during ADLs and minimize pain/injury risk.\n4. Pt will self-report =50% improvement in functional limitations related to ADLs.\n\nLong-Term Goals (13–25 visits):\n1. Pt will demonstrate B LE strength of =4/5 to independently and safely perform all ADLs.\n2. Pt will complete =14 repetitions on the 30-second chair sit-to-stand test to reduce fall risk.\n3. Pt will tolerate =30 minutes of activity to safely resume household tasks without limitation.\n4. Pt will demonstrate independence with HEP, using proper body mechanics and strength to support safe return to ADLs without difficulty."
   },
   "Lumbar - Radiculopathy": {
     "gender": "",
     "dob": "",
     "weight": "",
-    "height": "”",
+    "height": "",
     "bmi": "",
     "bmi_category": "",
     "meddiag": "Lumbar Radiculopathy",
@@ -664,3 +597,114 @@ export const OT_TEMPLATES = {
     "procedures": "97161 Low Complexity\n97162 Moderate Complexity\n97163 High Complexity\n97140 Manual Therapy\n97110 Therapeutic Exercise\n97530 Therapeutic Activity\n97112 Neuromuscular Re-ed\n97116 Gait Training"
   }
 };
+
+export const SLP_TEMPLATES = {
+  "Dysphagia - Oropharyngeal": {
+    "gender": "",
+    "dob": "",
+    "weight": "",
+    "height": "",
+    "bmi": "",
+    "bmi_category": "",
+    "meddiag": "Oropharyngeal Dysphagia",
+    "history": "",
+    "subjective": "Pt reports coughing and throat clearing during meals, most often with thin liquids, and a sensation of food sticking after swallowing. Pt reports meals take longer and has reduced PO intake. Pt agrees to SLP evaluation.",
+    "pain_location": "N/A",
+    "pain_onset": "Recent",
+    "pain_condition": "Dysphagia",
+    "pain_mechanism": "Reduced oral control, delayed swallow initiation, reduced laryngeal elevation",
+    "pain_rating": "N/A",
+    "pain_frequency": "With most meals",
+    "pain_description": "Coughing/choking with thin liquids, pocketing, globus sensation",
+    "pain_aggravating": "Thin liquids, mixed consistencies, dry solids, fatigue, upright posture not maintained",
+    "pain_relieved": "Small sips/bites, slow rate, alternating solids and liquids",
+    "pain_interferes": "PO intake, mealtimes, hydration, medication management",
+    "meds": "See medication list",
+    "tests": "Clinical bedside swallow evaluation, 3 oz water swallow test, EAT-10",
+    "dme": "N/A",
+    "plof": "Regular diet and thin liquids without difficulty",
+    "posture": "Upright in chair for PO trials; mild forward head posture; fatigues with prolonged sitting during meals",
+    "rom": "Oral motor ROM: Labial and lingual ROM mildly reduced; jaw ROM WNL",
+    "strength": "Labial strength: mildly reduced\nLingual strength: mildly reduced\nCough: weak volitional cough",
+    "palpation": "Reduced hyolaryngeal excursion on palpation during swallow",
+    "functional": "Thin liquids: immediate cough with consecutive straw sips\nNectar-thick liquids: no overt s/s aspiration\nPuree: WFL\nMechanical soft solids: prolonged mastication, mild oral residue",
+    "special": "3 oz water swallow test: failed (cough)\nEAT-10: 18/40\nOral mech exam: mild R facial weakness",
+    "impairments": "Overt s/s aspiration with thin liquids\nReduced oral control and bolus formation\nProlonged mealtimes with reduced PO intake\nIncreased aspiration pneumonia risk",
+    "goals": "Short-Term Goals (1–8 visits):\n1. Pt will use compensatory swallow strategies (chin tuck, small sips, slow rate) with 80% accuracy given min cues.\n2. Pt will tolerate least restrictive diet without overt s/s aspiration in 90% of trials.\n3. Pt will complete oral motor/swallow exercises with 80% accuracy to improve bolus control.\n\nLong-Term Goals (9–16 visits):\n1. Pt will safely consume least restrictive diet with independent use of compensatory strategies.\n2. Pt will demonstrate adequate PO intake to maintain nutrition and hydration without s/s aspiration.\n3. Pt/caregiver will independently verbalize and follow aspiration precautions and HEP.",
+    "frequency": "2wk8",
+    "intervention": "Dysphagia tx, compensatory swallow strategy training, oral motor exercises, pharyngeal strengthening exercises, diet texture/liquid consistency trials, aspiration precautions education, pt/caregiver education, HEP education/training.",
+    "procedures": "92610 Eval of Oral and Pharyngeal Swallowing Function\n92526 Treatment of Swallowing Dysfunction"
+  },
+  "Cognitive-Communication": {
+    "gender": "",
+    "dob": "",
+    "weight": "",
+    "height": "",
+    "bmi": "",
+    "bmi_category": "",
+    "meddiag": "Cognitive Communication Deficit",
+    "history": "",
+    "subjective": "Pt reports increased forgetfulness, difficulty keeping track of appointments and medications, and trouble following conversations in busy environments. Pt would like to return to managing daily schedule independently. Pt agrees to SLP evaluation.",
+    "pain_location": "N/A",
+    "pain_onset": "Gradual",
+    "pain_condition": "Cognitive-communication impairment",
+    "pain_mechanism": "Reduced attention, short-term memory, and executive function",
+    "pain_rating": "N/A",
+    "pain_frequency": "Daily",
+    "pain_description": "Forgetfulness, reduced attention, difficulty with problem solving and sequencing",
+    "pain_aggravating": "Multistep tasks, distractions, fatigue, novel situations",
+    "pain_relieved": "Written reminders, quiet environment, routine",
+    "pain_interferes": "Medication management, appointment scheduling, finances, conversation",
+    "meds": "See medication list",
+    "tests": "SLUMS, Cognitive Linguistic Quick Test (CLQT)",
+    "dme": "N/A",
+    "plof": "Independent with medication management, finances, and scheduling",
+    "posture": "N/A",
+    "rom": "N/A",
+    "strength": "N/A",
+    "palpation": "N/A",
+    "functional": "Medication management: requires mod cues for accuracy\nAppointment recall: 1/3 appointments recalled after delay\nFollowing 3-step directions: 60% accuracy",
+    "special": "SLUMS: 19/30\nCLQT: moderate deficits in memory and executive functions; mild deficits in attention",
+    "impairments": "Reduced short-term memory and recall\nReduced sustained/divided attention\nImpaired problem solving and sequencing\nReduced safety awareness with complex IADLs",
+    "goals": "Short-Term Goals (1–8 visits):\n1. Pt will use external memory aids (calendar, pill organizer) to recall daily tasks with 80% accuracy given min cues.\n2. Pt will follow 3-step directions with 80% accuracy in a quiet environment.\n3. Pt will complete functional problem-solving tasks with 70% accuracy given mod cues.\n\nLong-Term Goals (9–16 visits):\n1. Pt will independently manage medication schedule using compensatory strategies.\n2. Pt will recall and attend scheduled appointments independently using memory aids.\n3. Pt will demonstrate safety awareness during IADLs with no more than min cues.",
+    "frequency": "2wk8",
+    "intervention": "Cognitive-communication tx, memory strategy training, attention training, executive function/problem-solving tasks, external memory aid training, safety awareness training, pt/caregiver education, HEP education/training.",
+    "procedures": "96125 Standardized Cognitive Performance Testing\n97129 Therapeutic Interventions Cognitive Function (initial 15 min)\n97130 Therapeutic Interventions Cognitive Function (each add'l 15 min)\n92507 Treatment of Speech, Language, Voice, Communication"
+  },
+  "Aphasia": {
+    "gender": "",
+    "dob": "",
+    "weight": "",
+    "height": "",
+    "bmi": "",
+    "bmi_category": "",
+    "meddiag": "Aphasia following CVA",
+    "history": "",
+    "subjective": "Pt reports difficulty finding words and expressing needs since CVA, with increased frustration during conversation. Family reports Pt understands most simple conversation. Pt agrees to SLP evaluation.",
+    "pain_location": "N/A",
+    "pain_onset": "Post-CVA",
+    "pain_condition": "Expressive > receptive aphasia",
+    "pain_mechanism": "Left hemisphere CVA",
+    "pain_rating": "N/A",
+    "pain_frequency": "Constant",
+    "pain_description": "Word-finding difficulty, paraphasias, reduced sentence length",
+    "pain_aggravating": "Fatigue, complex conversation, time pressure",
+    "pain_relieved": "Extra response time, gestures, written choices",
+    "pain_interferes": "Expressing wants/needs, phone use, social participation, medical communication",
+    "meds": "See medication list",
+    "tests": "Western Aphasia Battery-Revised (WAB-R), Boston Naming Test",
+    "dme": "N/A",
+    "plof": "Independent functional communication in all settings",
+    "posture": "N/A",
+    "rom": "Oral motor ROM: WFL",
+    "strength": "Oral motor strength: WFL",
+    "palpation": "N/A",
+    "functional": "Confrontation naming: 50% accuracy\nExpressing basic wants/needs: requires mod cues\nFollowing 1-step commands: 90% accuracy\nYes/No reliability: 80%",
+    "special": "WAB-R Aphasia Quotient: 62.4\nBoston Naming Test: 28/60",
+    "impairments": "Anomia with semantic paraphasias\nReduced verbal expression at sentence level\nMild auditory comprehension deficits for complex commands\nReduced functional communication with unfamiliar partners",
+    "goals": "Short-Term Goals (1–8 visits):\n1. Pt will name common objects with 75% accuracy given semantic/phonemic cues.\n2. Pt will express basic wants/needs using phrases with 80% accuracy given min cues.\n3. Pt will follow 2-step commands with 80% accuracy.\n\nLong-Term Goals (9–16 visits):\n1. Pt will use word-finding strategies to communicate needs in conversation with 90% accuracy.\n2. Pt will participate in 5-minute conversations with familiar partners using multimodal communication.\n3. Pt/caregiver will independently use supported communication strategies.",
+    "frequency": "2wk8",
+    "intervention": "Speech/language tx, word retrieval tx (semantic feature analysis), sentence formulation tasks, auditory comprehension tasks, multimodal/AAC communication training, communication partner training, pt/caregiver education, HEP education/training.",
+    "procedures": "96105 Assessment of Aphasia\n92523 Eval of Speech Sound Production with Language Comprehension and Expression\n92507 Treatment of Speech, Language, Voice, Communication"
+  }
+};
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { listen, useScript } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await listen();
+});
+after(() => server.close());
+
+async function post(path, body) {
+  const res = await fetch(`${server.url}${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+async function auditEntries(route) {
+  const res = await fetch(`${server.url}/audit?route=${encodeURIComponent(route)}`);
+  return (await res.json()).entries;
+}
+
+async function auditEntry(id) {
+  const res = await fetch(`${server.url}/audit/entry?id=${id}`);
+  return (await res.json()).entry;
+}
+
+test("/api/ai routes are audited with every model call", async () => {
+  useScript(["Findings are consistent with lumbar strain; facet irritation; SIJ dysfunction"]);
+  const { status } = await post("/api/ai/pt_generate_diffdx", {
+    fields: { subjective: "LBP after lifting" },
+  });
+  assert.equal(status, 200);
+
+  const [summary] = await auditEntries("/api/ai/pt_generate_diffdx");
+  assert.ok(summary, "no audit entry for /api/ai/pt_generate_diffdx");
+  assert.equal(summary.status, "ok");
+  assert.equal(summary.discipline, "PT");
+
+  const entry = await auditEntry(summary.id);
+  assert.ok(entry.calls.length >= 1);
+  assert.equal(entry.calls[0].pass, "model");
+  assert.match(entry.calls[0].messages.at(-1).content, /LBP after lifting/);
+});
+
+test("/clean is audited", async () => {
+  useScript(["Pt reports LBP."]);
+  const { body } = await post("/clean", { text: "Pt reports  LBP. Pt reports LBP." });
+  assert.equal(body.cleaned, "Pt reports LBP.");
+
+  const [summary] = await auditEntries("/clean");
+  const entry = await auditEntry(summary.id);
+  assert.deepEqual(
+    entry.calls.map((c) => c.pass),
+    ["clean"]
+  );
+  assert.equal(entry.result, "Pt reports LBP.");
+});
+
+test("/eval/extract is audited and returns its auditId", async () => {
+  useScript([
+    JSON.stringify({
+      patch: { painLocation: "low back" },
+      evidence: { painLocation: "pain in my low back" },
+    }),
+  ]);
+  const { body } = await post("/eval/extract", {
+    discipline: "PT",
+    transcript: "Pt says there is pain in my low back for 2 weeks.",
+  });
+  assert.equal(body.patch.painLocation, "low back");
+  assert.ok(body.auditId);
+
+  const entry = await auditEntry(body.auditId);
+  assert.equal(entry.route, "/eval/extract");
+  assert.deepEqual(
+    entry.calls.map((c) => c.pass),
+    ["extract"]
+  );
+});
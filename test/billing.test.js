@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildBilling } from "../billing.js";
+
+function units(billing) {
+  return Object.fromEntries(billing.timed.map((r) => [r.code, r.units]));
+}
+
+test("8-minute rule: units follow the visit's total timed minutes", () => {
+  // CMS example: 33 min ther-ex + 7 min MT = 40 min -> 3 units, 2 + 1.
+  const billing = buildBilling({ text: "Ther-ex 33 min. STM 7 min.", discipline: "PT" });
+  assert.equal(billing.totalTimedUnits, 3);
+  assert.deepEqual(units(billing), { 97110: 2, 97140: 1 });
+});
+
+test('"TA" / "ther-act" bill 97530 and "manual" / "MT" bill 97140', () => {
+  const billing = buildBilling({
+    text: "TA 12 min, ther-act 10 min, manual 8 min, MT 8 min",
+    discipline: "PT",
+  });
+  assert.deepEqual(
+    billing.timed.map((r) => [r.code, r.minutes]),
+    [
+      ["97530", 22],
+      ["97140", 16],
+    ]
+  );
+});
+
+test("HEP instruction is flagged instead of billed as 97110", () => {
+  const billing = buildBilling({
+    text: "Ther-ex 15 min. HEP instruction 10 min.",
+    discipline: "PT",
+  });
+  assert.deepEqual(units(billing), { 97110: 1 });
+  assert.deepEqual(billing.flagged, [{ id: "hep", label: "HEP instruction", minutes: 10 }]);
+  assert.ok(billing.warnings.some((w) => w.startsWith("HEP instruction (10 min): not billed")));
+  assert.equal(buildBilling({ text: "HEP reviewed.", discipline: "PT" }), null);
+});
+
+test("a documented total that differs from the itemized minutes is flagged", () => {
+  const over = buildBilling({
+    text: "Ther-ex 20 min, gait 10 min. Total time 45 min.",
+    discipline: "PT",
+  });
+  assert.deepEqual(over.warnings, [
+    "Documented total time (45 min) does not match the itemized minutes (30 min).",
+  ]);
+
+  const under = buildBilling({
+    text: "Ther-ex 20 min, gait 10 min. Total time 25 min.",
+    discipline: "PT",
+  });
+  assert.match(under.warnings[0], /less than the timed intervention minutes \(30 min\)/);
+
+  const match = buildBilling({
+    text: "Ther-ex 20 min, gait 10 min. Total time 30 min.",
+    discipline: "PT",
+  });
+  assert.deepEqual(match.warnings, []);
+});
+
+test("feet (150') are distance, not minutes", () => {
+  const billing = buildBilling({
+    text: "Gait training 150' with FWW x2, ther-ex 20 min",
+    discipline: "PT",
+  });
+  assert.deepEqual(
+    billing.timed.map((r) => [r.code, r.minutes]),
+    [["97110", 20]]
+  );
+  assert.deepEqual(billing.warnings, [
+    "97116 (Gait Training) documented without minutes: not counted.",
+  ]);
+
+  const gait = buildBilling({ text: "Pt ambulated 200' CGA. Ther-ex 15 min.", discipline: "PT" });
+  assert.deepEqual(units(gait), { 97110: 1 });
+  assert.ok(!gait.warnings.some((w) => w.startsWith("Minutes without an intervention")));
+});
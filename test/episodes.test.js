@@ -0,0 +1,137 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+
+process.env.AUTH_MODE = "required";
+const { listen, seedUser } = await import("./helpers.js");
+
+const owner = seedUser("therapist", "Owner PT");
+const other = seedUser("therapist", "Other PT");
+const assistant = seedUser("assistant");
+const admin = seedUser("admin");
+
+let server;
+before(async () => {
+  server = await listen();
+});
+after(() => server.close());
+
+async function call(user, method, route, body) {
+  const res = await fetch(`${server.url}${route}`, {
+    method,
+    headers: { "Content-Type": "application/json", ...user.headers },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const USER_TEXT = "Pt reports LBP 4/10. Ther-ex: bridges 3x10. STM to lumbar paraspinals and QL.";
+
+// Patient + open PT episode created by `owner`.
+async function openEpisode() {
+  const patient = await call(owner, "POST", "/patients", { label: "Chart 1001" });
+  assert.equal(patient.status, 201);
+  const episode = await call(owner, "POST", "/episodes", {
+    patientId: patient.body.id,
+    discipline: "PT",
+    diagnosis: "LBP",
+  });
+  assert.equal(episode.status, 201);
+  assert.equal(episode.body.status, "open");
+  return { patient: patient.body, episode: episode.body };
+}
+
+test("a generated note with episodeId is saved as a visit of that episode", async () => {
+  const { patient, episode } = await openEpisode();
+
+  const generated = await call(owner, "POST", "/generate", {
+    episodeId: episode.id,
+    userText: USER_TEXT,
+    mode: "offline",
+  });
+  assert.equal(generated.status, 200);
+  assert.equal(generated.body.episodeId, episode.id);
+  assert.ok(generated.body.visitId);
+
+  const { body: visits } = await call(owner, "GET", `/visits?episodeId=${episode.id}`);
+  assert.equal(visits.count, 1);
+  const [visit] = visits.visits;
+  assert.equal(visit.id, generated.body.visitId);
+  assert.equal(visit.patientId, patient.id);
+  assert.equal(visit.discipline, "PT");
+  assert.equal(visit.source, "generate");
+  assert.equal(visit.createdBy, owner.id);
+  assert.equal(visit.note, generated.body.summary);
+
+  const { body: detail } = await call(owner, "GET", `/episode?id=${episode.id}`);
+  assert.equal(detail.patient.id, patient.id);
+  assert.deepEqual(
+    detail.visits.map((v) => v.id),
+    [visit.id]
+  );
+
+  const { body: listed } = await call(owner, "GET", `/episodes?patientId=${patient.id}`);
+  assert.equal(listed.episodes[0].visitCount, 1);
+});
+
+test("a note cannot be linked to another discipline's or a closed episode", async () => {
+  const { episode } = await openEpisode();
+
+  const mismatch = await call(owner, "POST", "/generate", {
+    episodeId: episode.id,
+    discipline: "OT",
+    userText: USER_TEXT,
+    mode: "offline",
+  });
+  assert.equal(mismatch.status, 409);
+
+  const closed = await call(owner, "PUT", "/episodes", { id: episode.id, status: "closed" });
+  assert.equal(closed.body.status, "closed");
+  assert.ok(closed.body.endDate);
+
+  const late = await call(owner, "POST", "/visits", { episodeId: episode.id, note: "Pt seen." });
+  assert.equal(late.status, 409);
+});
+
+test("evaluations are listed per episode", async () => {
+  const { episode } = await openEpisode();
+  const saved = await call(owner, "POST", "/evaluations", {
+    episodeId: episode.id,
+    form: { subjective: "LBP x3 wks" },
+  });
+  assert.equal(saved.status, 201);
+
+  const { body } = await call(owner, "GET", `/evaluations?episodeId=${episode.id}`);
+  assert.deepEqual(
+    body.evaluations.map((e) => [e.id, e.source]),
+    [[saved.body.id, "manual"]]
+  );
+});
+
+test("reads are scoped to the caller's patients; admins see every record", async () => {
+  const { patient, episode } = await openEpisode();
+  const ids = (rows) => rows.map((r) => r.id);
+
+  const mine = await call(owner, "GET", "/patients");
+  assert.ok(ids(mine.body.patients).includes(patient.id));
+
+  const theirs = await call(other, "GET", "/patients");
+  assert.equal(theirs.body.count, 0);
+  assert.equal((await call(other, "GET", `/patient?id=${patient.id}`)).status, 404);
+  assert.equal((await call(other, "GET", `/episode?id=${episode.id}`)).status, 404);
+  assert.equal((await call(other, "GET", "/episodes")).body.count, 0);
+  assert.equal((await call(other, "GET", "/visits")).body.count, 0);
+  assert.equal((await call(other, "GET", "/evaluations")).body.count, 0);
+
+  // An assistant sees nothing until they document on the patient.
+  assert.equal((await call(assistant, "GET", "/patients")).body.count, 0);
+  const visit = await call(assistant, "POST", "/visits", {
+    episodeId: episode.id,
+    note: "Pt seen for ther-ex.",
+  });
+  assert.equal(visit.status, 201);
+  assert.deepEqual(ids((await call(assistant, "GET", "/patients")).body.patients), [patient.id]);
+
+  const all = await call(admin, "GET", "/patients");
+  assert.ok(all.body.count >= 2);
+  assert.ok(ids(all.body.patients).includes(patient.id));
+});
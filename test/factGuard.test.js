@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { findUnsupportedFacts, stripUnsupportedFacts } from "../factGuard.js";
+import { validateVisitNote } from "./helpers.js";
+
+function strip(text, userText) {
+  return stripUnsupportedFacts(text, findUnsupportedFacts({ text, userText }).unsupported);
+}
+
+test("strip removes only the unsupported span and keeps the rest of the sentence", () => {
+  const note = [
+    "Subjective",
+    "Pt reports R knee pain 6/10 with stairs.",
+    "",
+    "Summary",
+    "Pt tolerated tx well. Pt ambulated 150 ft with RW, requiring CGA. Pt completed bridges 3x10. Pt would benefit from skilled PT.",
+  ].join("\n");
+  const out = strip(note, "R knee pain with stairs. ambulated with RW CGA. bridges x10.");
+
+  assert.equal(
+    out,
+    [
+      "Subjective",
+      "Pt reports R knee pain with stairs.",
+      "",
+      "Summary",
+      "Pt tolerated tx well. Pt ambulated with RW, requiring CGA. Pt completed bridges 10. Pt would benefit from skilled PT.",
+    ].join("\n")
+  );
+});
+
+test("strip cuts by offset, so the same digits inside supported facts stay", () => {
+  assert.equal(
+    strip("Pt completed 15 reps, then 5 more.", "15 reps"),
+    "Pt completed 15 reps, then more."
+  );
+});
+
+test("/validate checks facts against userText plus the patient label, like /generate", () => {
+  const text =
+    "Subjective\nPatient #7 reports LBP.\n\nSummary\nPt tolerated tx well.\n\nPOC\nContinue.";
+  const check = (patientLabel) =>
+    validateVisitNote({ text, userText: "Pt reports LBP.", patientLabel, discipline: "PT" }).checks
+      .facts;
+
+  assert.equal(check("Patient #7").ok, true);
+  assert.deepEqual(
+    check("Patient #3").violations.map((v) => v.span.text),
+    ["7"]
+  );
+});
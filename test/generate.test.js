@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  DRAFT_MATCH,
+  REPAIR_MATCH,
+  generateVisitNote,
+  useScript,
+  validateGenerated,
+} from "./helpers.js";
+
+const USER_TEXT =
+  "Pt reports LBP 5/10 today. Ther-ex with VC for core activation and trunk stabilization, STM to lumbar paraspinals, QL and piriformis, gait training for stride length, transfers.";
+
+const SUMMARY_BODY =
+  "completes ther-ex with VC for core activation and trunk stabilization. STM to lumbar paraspinals, QL and piriformis. Gait training for stride length. Functional mobility improves with transfers.";
+
+const GOOD_DRAFT = {
+  match: DRAFT_MATCH,
+  text: `Subjective\nPt reports LBP 5/10 today.\n\nSummary\n$1${SUMMARY_BODY} $2\n\nPOC\nPT POC: $3 TherEx, TherAct, MT, functional training, fall/safety, injury prevention to meet goals.`,
+};
+
+const GOOD_REPAIR = {
+  match: REPAIR_MATCH,
+  text: `Subjective\nPt reports LBP 5/10 today.\n\nSummary\n$1${SUMMARY_BODY} $2\n\nPOC\n$3`,
+};
+
+function passNames(result) {
+  return result.repairs.map((r) => r.pass);
+}
+
+test("a valid draft is returned without repair passes", async () => {
+  const provider = useScript([GOOD_DRAFT]);
+  const result = await generateVisitNote({
+    patientLabel: "Patient #1",
+    userText: USER_TEXT,
+    discipline: "PT",
+  });
+
+  assert.equal(result.outcome, "valid");
+  assert.deepEqual(passNames(result), []);
+  assert.equal(provider.calls.length, 1);
+  assert.match(result.sections.summary, /lumbar paraspinals/);
+});
+
+test("a malformed draft is fixed by the repair pass", async () => {
+  const provider = useScript([GOOD_REPAIR, "not a note"]);
+  const result = await generateVisitNote({
+    patientLabel: "Patient #1",
+    userText: USER_TEXT,
+    discipline: "PT",
+  });
+
+  assert.equal(result.outcome, "repaired");
+  assert.deepEqual(passNames(result), ["repair"]);
+  assert.equal(result.repairs[0].ok, true);
+  assert.equal(provider.calls.length, 2);
+});
+
+test("a failed repair is coerced locally into the 3-section format", async () => {
+  useScript(["not a note", "still not a note"]);
+  const result = await generateVisitNote({
+    patientLabel: "Patient #1",
+    userText: USER_TEXT,
+    discipline: "PT",
+  });
+
+  assert.equal(result.outcome, "coerced");
+  assert.deepEqual(passNames(result), ["repair", "coerce"]);
+  assert.equal(result.repairs[0].ok, false);
+  assert.deepEqual(Object.keys(result.sections), ["subjective", "summary", "poc"]);
+
+  const { introPrefix, closerSentence, pocOpener } = result.phrases;
+  const v = validateGenerated({
+    text: result.summary,
+    introPrefix,
+    closerSentence,
+    pocOpener,
+    discipline: "PT",
+  });
+  assert.equal(v.ok, true, v.reason);
+});
+
+test("a format-only pass the provider could not run is not recorded", async () => {
+  const vagueDraft = {
+    ...GOOD_DRAFT,
+    text: GOOD_DRAFT.text.replace(
+      "STM to lumbar paraspinals, QL and piriformis.",
+      "STM to low back."
+    ),
+  };
+  const provider = useScript([
+    vagueDraft,
+    { match: "Return the note in EXACTLY this format", error: "upstream unavailable", status: 503 },
+    "not a note",
+  ]);
+  const result = await generateVisitNote({
+    patientLabel: "Patient #1",
+    userText: USER_TEXT,
+    discipline: "PT",
+  });
+
+  assert.equal(provider.calls.length, 3);
+  assert.equal(result.degraded?.pass, "format");
+  assert.equal(result.outcome, "fallback");
+  assert.ok(!passNames(result).includes("format"), passNames(result).join(", "));
+  assert.equal(passNames(result).at(-1), "fallback");
+  assert.match(result.sections.summary, /STM to low back/);
+});
@@ -0,0 +1,112 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { DRAFT_MATCH, REPAIR_MATCH, listen, useScript } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await listen();
+});
+after(() => server.close());
+
+const USER_TEXT =
+  "Jane Doe reports LBP 5/10 today. Ther-ex with VC for core activation and trunk stabilization, STM to lumbar paraspinals, QL and piriformis, gait training for stride length, transfers.";
+
+// The model answers with the placeholder the redactor gave the patient's name.
+const SUMMARY_BODY =
+  "completes ther-ex with VC for core activation and trunk stabilization. STM to lumbar paraspinals, QL and piriformis. Gait training for stride length. Functional mobility improves with transfers.";
+const NOTE = `Subjective\n[NAME_1] reports LBP 5/10 today.\n\nSummary\n$1${SUMMARY_BODY} $2\n\nPOC\n`;
+const SCRIPT = [
+  {
+    match: DRAFT_MATCH,
+    text: `${NOTE}PT POC: $3 TherEx, TherAct, MT, functional training to meet goals.`,
+  },
+  { match: REPAIR_MATCH, text: `${NOTE}$3` },
+];
+
+// Parses a text/event-stream body into [{ event, data }].
+function parseEvents(text) {
+  return text
+    .split("\n\n")
+    .filter((block) => block.trim())
+    .map((block) => {
+      const event = block.match(/^event: (.+)$/m)?.[1];
+      const data = block.match(/^data: (.+)$/m)?.[1];
+      return { event, data: JSON.parse(data) };
+    });
+}
+
+async function stream(body, headers = {}) {
+  const res = await fetch(`${server.url}/generate/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+  const text = await res.text();
+  return { res, text, events: parseEvents(text) };
+}
+
+test("tokens arrive with placeholders restored, then one final note event", async () => {
+  const provider = useScript(SCRIPT);
+  const { res, text, events } = await stream({
+    patientLabel: "Jane Doe",
+    userText: USER_TEXT,
+    discipline: "PT",
+  });
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+  assert.match(text, /^event: \w+\ndata: \{/);
+
+  const names = events.map((e) => e.event);
+  assert.ok(names.includes("progress"));
+  assert.equal(names.at(-1), "note");
+  assert.equal(names.filter((n) => n === "note").length, 1);
+  assert.ok(!names.includes("error"));
+
+  const tokens = events.filter((e) => e.event === "token");
+  assert.ok(tokens.length > 1, "the draft was not streamed token by token");
+  assert.equal(tokens[0].data.pass, "draft");
+  const draft = tokens
+    .filter((t) => t.data.pass === "draft")
+    .map((t) => t.data.delta)
+    .join("");
+  assert.match(draft, /^Subjective\nJane Doe reports LBP/);
+  assert.doesNotMatch(draft, /\[NAME_\d\]/);
+
+  // The provider only ever saw the placeholder.
+  assert.doesNotMatch(JSON.stringify(provider.calls), /Jane|Doe/);
+
+  const note = events.at(-1).data;
+  assert.match(note.summary, /Jane Doe reports LBP/);
+  assert.doesNotMatch(note.summary, /\[NAME_\d\]/);
+  assert.ok(note.auditId);
+  assert.ok(note.redaction.byType.name >= 1);
+});
+
+test("a model failure after the stream started ends it with an error event", async () => {
+  useScript([{ error: "bad request", status: 400 }]);
+  const { res, events } = await stream({ userText: USER_TEXT, discipline: "PT" });
+
+  assert.equal(res.status, 200);
+  const last = events.at(-1);
+  assert.equal(last.event, "error");
+  assert.equal(last.data.error, "Generate failed.");
+  assert.match(last.data.details, /bad request/);
+  assert.ok(!events.some((e) => e.event === "note"));
+});
+
+test("an Idempotency-Key retry replays the complete stream without model calls", async () => {
+  const provider = useScript(SCRIPT);
+  const body = { userText: USER_TEXT, discipline: "PT" };
+  const headers = { "Idempotency-Key": "stream-retry-1" };
+
+  const first = await stream(body, headers);
+  const calls = provider.calls.length;
+  assert.equal(first.events.at(-1).event, "note");
+
+  const retry = await stream(body, headers);
+  assert.equal(retry.res.headers.get("idempotent-replayed"), "true");
+  assert.match(retry.res.headers.get("content-type"), /^text\/event-stream/);
+  assert.equal(retry.text, first.text);
+  assert.equal(provider.calls.length, calls);
+});
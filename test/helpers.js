@@ -0,0 +1,65 @@
+// ======================= test/helpers.js =======================
+// Loads server.js against the scripted mock provider (llm.js) with a throwaway DATA_DIR.
+// Import this before anything that reads the provider; swap the script per test with useScript().
+// A test file may set RESPONSE_CACHE or AUTH_MODE before importing this (dynamically) to run with
+// the cache or API keys on; seedUser() adds users to the throwaway user store.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createMockProvider, setProvider } from "../llm.js";
+import { createUserStore } from "../userStore.js";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "pt-summary-test-"));
+process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  LLM_PROVIDER: "mock",
+  DATA_DIR: dataDir,
+  AUTH_MODE: process.env.AUTH_MODE || "off",
+  LLM_RETRIES: "0",
+  RATE_LIMIT_PER_MINUTE: "0",
+  RESPONSE_CACHE: process.env.RESPONSE_CACHE || "off",
+});
+
+// server.js wraps the provider once at import time; this one delegates to the current script.
+let current = createMockProvider();
+setProvider({
+  name: "mock",
+  model: "mock",
+  chat: (opts) => current.chat(opts),
+  chatStream: (opts) => current.chatStream(opts),
+});
+
+function useScript(script) {
+  current = createMockProvider({ script });
+  return current;
+}
+
+const server = await import("../server.js");
+
+// Creates a user in DATA_DIR/users.json; returns { id, role, key, headers }.
+function seedUser(role, name = role) {
+  const store = createUserStore({ filePath: path.join(dataDir, "users.json") });
+  const { user, apiKey } = store.create({ name, role });
+  return { id: user.id, role, key: apiKey, headers: { Authorization: `Bearer ${apiKey}` } };
+}
+
+// Starts the app on a free port; returns { url, close }.
+async function listen() {
+  const httpServer = server.app.listen(0);
+  await new Promise((resolve) => httpServer.once("listening", resolve));
+  return {
+    url: `http://127.0.0.1:${httpServer.address().port}`,
+    close: () => new Promise((resolve) => httpServer.close(resolve)),
+  };
+}
+
+// The draft / repair prompts carry the intro prefix, closer and POC line the note must use.
+const DRAFT_MATCH =
+  'FIRST Summary sentence MUST start EXACTLY with this prefix:\\s*\\n\\s*(.+)\\n[\\s\\S]*?LAST Summary sentence MUST be EXACTLY this sentence:\\s*\\n\\s*(.+)\\n[\\s\\S]*?Must use this exact opener immediately after header: "([^"]+)"';
+const REPAIR_MATCH =
+  "Summary first sentence must start with:\\s*\\n\\s*(.+)\\n[\\s\\S]*?Summary last sentence MUST be exactly:\\s*\\n\\s*(.+)\\n[\\s\\S]*?POC: ONE line, must be exactly:\\s*\\n\\s*(.+)\\n";
+
+export const { app, generateVisitNote, validateGenerated, validateVisitNote } = server;
+export { DRAFT_MATCH, REPAIR_MATCH, dataDir, listen, seedUser, useScript };
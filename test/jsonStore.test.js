@@ -0,0 +1,44 @@
+import fs from "fs";
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import os from "os";
+import path from "path";
+import { createJsonFileStore } from "../jsonStore.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "json-store-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a file that does not parse is moved aside, not overwritten", () => {
+  const filePath = path.join(dir, "corrupt.json");
+  fs.writeFileSync(filePath, '{"users": {"u1": ');
+  const store = createJsonFileStore(filePath, { users: {} });
+
+  assert.deepEqual(store.read(), { users: {} });
+  const aside = fs.readdirSync(dir).filter((f) => f.startsWith("corrupt.json.corrupt-"));
+  assert.equal(aside.length, 1);
+  assert.equal(fs.readFileSync(path.join(dir, aside[0]), "utf8"), '{"users": {"u1": ');
+
+  store.update((data) => {
+    data.users.u2 = {};
+  });
+  assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), { users: { u2: {} } });
+});
+
+test("update holds a lock file and takes over a stale one", () => {
+  const filePath = path.join(dir, "locked.json");
+  const store = createJsonFileStore(filePath, { n: 0 });
+
+  store.update((data) => {
+    assert.ok(fs.existsSync(`${filePath}.lock`));
+    data.n += 1;
+  });
+  assert.ok(!fs.existsSync(`${filePath}.lock`));
+
+  fs.writeFileSync(`${filePath}.lock`, "");
+  const old = new Date(Date.now() - 60_000);
+  fs.utimesSync(`${filePath}.lock`, old, old);
+  store.update((data) => {
+    data.n += 1;
+  });
+  assert.equal(store.read().n, 2);
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { generateVisitNote, validateVisitNote } from "./helpers.js";
+
+// The offline note goes through the same checks as POST /validate.
+async function offlineNote(discipline, userText) {
+  const result = await generateVisitNote({ userText, discipline, mode: "offline" });
+  const checked = validateVisitNote({
+    text: result.summary,
+    userText,
+    discipline,
+    phrases: result.phrases,
+  });
+  return { result, checked };
+}
+
+test("PT LBP: clauses keep their own verbs and the named muscles meet the LBP rule", async () => {
+  const { result, checked } = await offlineNote(
+    "PT",
+    "Pt reports LBP 6/10. STM to lumbar paraspinals and QL. ther-ex: bridges, clamshells 3x10. ambulated with RW CGA. HEP reviewed."
+  );
+  const summary = result.sections.summary;
+
+  assert.equal(result.outcome, "offline");
+  assert.equal(checked.ok, true, checked.reasons.join(" | "));
+  assert.match(summary, /Pt ambulated with RW, requiring CGA[.;]/);
+  assert.match(summary, /Pt completes ther-ex including bridges and clamshells 3x10\./);
+  assert.match(summary, /Pt receives STM to lumbar paraspinals and QL\./);
+  assert.doesNotMatch(summary, /Pt completes (?:ambulated|worked|ther-ex:)/);
+  assert.doesNotMatch(summary, /LBP\/lumbar/);
+});
+
+test("OT shoulder: comma-joined statements become sentences and the UE rule is met from userText", async () => {
+  const { result, checked } = await offlineNote(
+    "OT",
+    "Shoulder pain. worked on UB dressing with reacher, Mod A, energy conservation educated. Pulleys. Overhead reaching with R UE."
+  );
+  const summary = result.sections.summary;
+
+  assert.equal(result.outcome, "offline");
+  assert.equal(checked.ok, true, checked.reasons.join(" | "));
+  assert.equal(result.sections.subjective, "Pt reports shoulder pain.");
+  assert.match(summary, /Pt worked on UB dressing with reacher, requiring Mod A\./);
+  assert.match(summary, /Pt educated on energy conservation\./);
+  assert.match(summary, /Tx includes pulleys/);
+  assert.doesNotMatch(summary, /Pt completes worked|Shoulder pain\.|Pulleys\./);
+});
+
+test("PT shoulder without named muscles: outcome degraded with the failing content check", async () => {
+  const { result, checked } = await offlineNote(
+    "PT",
+    "Shoulder pain 4/10. ther-ex: pulleys, wall slides. HEP reviewed."
+  );
+
+  assert.equal(result.outcome, "degraded");
+  assert.equal(result.offline.content.ok, false);
+  assert.deepEqual(
+    result.offline.content.violations.map((v) => v.rule),
+    ["content.shoulder_muscles"]
+  );
+  assert.equal(checked.checks.format.ok, true, checked.checks.format.reason);
+  assert.deepEqual(
+    checked.checks.content.violations.map((v) => v.rule),
+    ["content.shoulder_muscles"]
+  );
+});
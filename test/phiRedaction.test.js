@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { createRedactor } from "../phiRedaction.js";
+import { listen, useScript } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await listen();
+});
+after(() => server.close());
+
+test("with clientText, only values the client sent are redacted", () => {
+  const redactor = createRedactor({ clientText: "Pt fell on 03/14/2024; call (555)\n123-4567" });
+  const out = redactor.redact("Fall 03/14/2024. Eval on 10/19/2026. Phone (555) 123-4567.");
+
+  assert.equal(out, "Fall [DATE_1]. Eval on 10/19/2026. Phone [PHONE_1].");
+  assert.deepEqual(redactor.report().byType, { date: 1, phone: 1 });
+});
+
+test("without clientText every match is redacted", () => {
+  const redactor = createRedactor();
+  assert.equal(redactor.redact("Eval on 10/19/2026."), "Eval on [DATE_1].");
+});
+
+// No currentdate: the route writes today's date into the prompt itself.
+test("dates the server adds to a prompt are neither redacted nor reported", async () => {
+  const provider = useScript(["Pt presents for PT eval after a fall on [DATE_1]."]);
+  const res = await fetch(`${server.url}/api/ai/pt_generate_summary`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ fields: { subjective: "fall on 03/14/2024" } }),
+  });
+  const body = await res.json();
+  assert.equal(res.status, 200);
+
+  const today = new Date().toLocaleDateString("en-US");
+  const prompt = provider.calls[0].messages.at(-1).content;
+  assert.ok(prompt.includes(`eval on ${today}`), prompt);
+  assert.match(prompt, /fall on \[DATE_1\]/);
+  assert.deepEqual(body.redaction.byType, { date: 1 });
+  assert.match(body.result, /fall on 03\/14\/2024/);
+});
+
+test("ages over 89 worked out from dob never reach the provider", async () => {
+  const provider = useScript(["Pt is a [AGE_1] y/o patient presenting for PT eval."]);
+  const now = new Date();
+  const dob = new Date(now.getFullYear() - 96, now.getMonth(), now.getDate() - 1);
+  const res = await fetch(`${server.url}/api/ai/pt_generate_summary`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      fields: { dob: dob.toISOString().slice(0, 10), subjective: "R hip pain" },
+    }),
+  });
+  const body = await res.json();
+  assert.equal(res.status, 200);
+
+  const sent = JSON.stringify(provider.calls.map((c) => c.messages));
+  assert.match(sent, /\[AGE_1\] y\/o/);
+  assert.doesNotMatch(sent, /\b96\b/);
+  assert.equal(body.redaction.byType.age, 1);
+});
+
+test('a "Last, First" label redacts the bare surname', () => {
+  const redactor = createRedactor({ knownNames: ["Smith, Jane"] });
+  assert.equal(
+    redactor.redact("Smith, Jane seen today. Jane reports Smith family hx of OA."),
+    "[NAME_1] seen today. [NAME_2] reports [NAME_3] family hx of OA."
+  );
+});
@@ -0,0 +1,174 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createCircuitBreaker, createResilientProvider } from "../resilience.js";
+
+// Checked by the last tests: a 0ms timeout must fall back to the default, and one failure
+// opens the server's breaker.
+process.env.LLM_TIMEOUT_MS = "0";
+process.env.LLM_BREAKER_THRESHOLD = "1";
+const { generateVisitNote, useScript } = await import("./helpers.js");
+
+function httpError(status, headers) {
+  const err = new Error(`HTTP ${status}`);
+  err.status = status;
+  if (headers) err.headers = headers;
+  return err;
+}
+
+// inner.chat runs the next step: a function of the call options, or a value to answer with.
+function fakeProvider(steps) {
+  const calls = [];
+  const next = async (opts) => {
+    calls.push(opts);
+    const step = steps.shift();
+    const out = typeof step === "function" ? await step(opts) : step;
+    if (out instanceof Error) throw out;
+    return { text: out ?? "ok" };
+  };
+  return { name: "fake", model: "fake", calls, chat: next };
+}
+
+function resilient(inner, options = {}) {
+  const delays = [];
+  const provider = createResilientProvider(inner, {
+    retries: 2,
+    random: () => 0.5,
+    delay: async (ms) => delays.push(ms),
+    breaker: createCircuitBreaker({ failureThreshold: 100 }),
+    ...options,
+  });
+  return { provider, delays };
+}
+
+test("an attempt that outlives timeoutMs is aborted", async () => {
+  let aborted = null;
+  const inner = fakeProvider([
+    ({ signal }) =>
+      new Promise((_, reject) =>
+        signal.addEventListener("abort", () => {
+          aborted = signal.reason;
+          reject(signal.reason);
+        })
+      ),
+  ]);
+  const { provider } = resilient(inner, { timeoutMs: 20, retries: 0 });
+
+  await assert.rejects(provider.chat({ messages: [] }), { code: "MODEL_TIMEOUT", status: 504 });
+  assert.equal(aborted?.code, "MODEL_TIMEOUT");
+});
+
+test("a timeoutMs <= 0 falls back to the default instead of aborting every call", async () => {
+  const inner = fakeProvider([() => new Promise((resolve) => setTimeout(resolve, 10, "late"))]);
+  const { provider } = resilient(inner, { timeoutMs: 0 });
+  assert.equal((await provider.chat({ messages: [] })).text, "late");
+});
+
+test("429 and 5xx are retried with jittered backoff; 4xx is not", async () => {
+  const inner = fakeProvider([httpError(429), httpError(503), "third time"]);
+  const { provider, delays } = resilient(inner, { baseDelayMs: 100 });
+  assert.equal((await provider.chat({ messages: [] })).text, "third time");
+  assert.equal(inner.calls.length, 3);
+  assert.deepEqual(delays, [50, 100]); // random() 0.5 x 100ms, x 200ms
+
+  const bad = fakeProvider([httpError(400), "never"]);
+  const { provider: once } = resilient(bad);
+  await assert.rejects(once.chat({ messages: [] }), { status: 400, retryable: false, attempts: 1 });
+  assert.equal(bad.calls.length, 1);
+});
+
+test("a provider Retry-After wins over a shorter jitter delay (capped at maxDelayMs)", async () => {
+  const inner = fakeProvider([
+    httpError(429, { "retry-after": "2" }),
+    httpError(429, { "retry-after": "60" }),
+    "ok",
+  ]);
+  const { provider, delays } = resilient(inner, { baseDelayMs: 100, maxDelayMs: 8_000 });
+  await provider.chat({ messages: [] });
+  assert.deepEqual(delays, [2_000, 8_000]);
+});
+
+test("a stream is retried before its first token, never after", async () => {
+  let attempts = 0;
+  const streaming = (failAfterToken) => ({
+    name: "fake",
+    model: "fake",
+    chat: async () => ({ text: "" }),
+    async chatStream({ onToken }) {
+      attempts += 1;
+      if (attempts === 1 && !failAfterToken) throw httpError(503);
+      onToken("Pt ");
+      if (failAfterToken) throw httpError(503);
+      return { text: "Pt ok" };
+    },
+  });
+
+  const tokens = [];
+  const { provider } = resilient(streaming(false));
+  const result = await provider.chatStream({ onToken: (t) => tokens.push(t) });
+  assert.equal(result.text, "Pt ok");
+  assert.equal(attempts, 2);
+  assert.deepEqual(tokens, ["Pt "]);
+
+  attempts = 0;
+  const { provider: broken } = resilient(streaming(true));
+  await assert.rejects(broken.chatStream({ onToken: () => {} }), { status: 503, attempts: 1 });
+  assert.equal(attempts, 1);
+});
+
+test("the breaker opens after failureThreshold failures, fails fast, and lets one probe through", async () => {
+  let clock = 0;
+  const breaker = createCircuitBreaker({
+    failureThreshold: 2,
+    cooldownMs: 1_000,
+    now: () => clock,
+  });
+  let release;
+  const inner = fakeProvider([
+    httpError(502),
+    httpError(502),
+    () => new Promise((resolve) => (release = resolve)),
+    "closed again",
+  ]);
+  const { provider } = resilient(inner, { retries: 0, breaker });
+
+  await assert.rejects(provider.chat({ messages: [] }), { status: 502 });
+  await assert.rejects(provider.chat({ messages: [] }), { status: 502 });
+  await assert.rejects(provider.chat({ messages: [] }), { code: "CIRCUIT_OPEN", status: 503 });
+  assert.equal(inner.calls.length, 2);
+  assert.equal(breaker.snapshot().state, "open");
+
+  clock = 1_000;
+  const probe = provider.chat({ messages: [] });
+  await assert.rejects(provider.chat({ messages: [] }), { code: "CIRCUIT_OPEN" });
+  assert.equal(inner.calls.length, 3);
+
+  release("probe ok");
+  assert.equal((await probe).text, "probe ok");
+  assert.equal(breaker.snapshot().state, "closed");
+  assert.equal((await provider.chat({ messages: [] })).text, "closed again");
+});
+
+const USER_TEXT = "Pt reports LBP 5/10. Ther-ex: bridges 3x10. STM to lumbar paraspinals and QL.";
+
+test("server: LLM_TIMEOUT_MS=0 keeps the default timeout", async () => {
+  const provider = useScript([
+    { text: "not a note", delayMs: 10 },
+    { text: "still not", delayMs: 10 },
+  ]);
+  const result = await generateVisitNote({ userText: USER_TEXT, discipline: "PT" });
+  assert.equal(result.degraded, null);
+  assert.equal(provider.calls.length, 2);
+});
+
+test("server: /generate degrades to the offline note while the breaker is open", async () => {
+  useScript([{ error: "upstream down", status: 503 }]);
+  const first = await generateVisitNote({ userText: USER_TEXT, discipline: "PT" });
+  assert.equal(first.outcome, "degraded");
+
+  const provider = useScript(["never sent"]);
+  const second = await generateVisitNote({ userText: USER_TEXT, discipline: "PT" });
+  assert.equal(provider.calls.length, 0);
+  assert.equal(second.outcome, "degraded");
+  assert.match(second.degraded.reason, /circuit open/);
+  assert.match(second.sections.summary, /bridges/);
+});
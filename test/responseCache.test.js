@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, test } from "node:test";
+
+process.env.RESPONSE_CACHE = "on";
+const { dataDir, listen, useScript } = await import("./helpers.js");
+
+let server;
+before(async () => {
+  server = await listen();
+});
+after(() => server.close());
+
+async function post(route, body) {
+  const res = await fetch(`${server.url}${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, cache: res.headers.get("x-cache"), body: await res.json() };
+}
+
+function cachedRecords() {
+  const dir = path.join(dataDir, "response-cache");
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => JSON.parse(fs.readFileSync(path.join(dir, name), "utf8")));
+}
+
+function endOfToday(now = new Date()) {
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+}
+
+function recordFor(text) {
+  return cachedRecords().find((r) => r.body.includes(text));
+}
+
+test("cached responses are replayed without per-request fields", async () => {
+  useScript(["Findings are consistent with patellofemoral pain; ITB irritation"]);
+  const body = { fields: { subjective: "knee pain on stairs" } };
+  const first = await post("/api/ai/pt_generate_diffdx", body);
+  assert.equal(first.status, 200);
+  assert.equal(first.cache, "miss");
+  assert.ok(first.body.usage, "the live response reports usage");
+
+  const record = recordFor("patellofemoral");
+  assert.ok(record, "response was not cached");
+  const stored = JSON.parse(record.body);
+  assert.equal(stored.usage, undefined);
+  assert.equal(stored.auditId, undefined);
+  assert.ok(new Date(record.expiresAt) > endOfToday(), "undated response kept for the full ttl");
+
+  const again = await post("/api/ai/pt_generate_diffdx", body);
+  assert.equal(again.cache, "hit");
+  assert.equal(again.body.usage, undefined);
+  assert.equal(again.body.result, first.body.result);
+});
+
+// No currentdate: the route puts today's date into the prompt itself.
+test("responses to prompts dated today expire at the end of the day", async () => {
+  useScript(["Pt presents for PT eval with L shoulder pain."]);
+  const { status } = await post("/api/ai/pt_generate_summary", {
+    fields: { subjective: "L shoulder pain" },
+  });
+  assert.equal(status, 200);
+
+  assert.equal(recordFor("L shoulder pain").expiresAt, endOfToday().toISOString());
+});
@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { listen } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await listen();
+});
+after(() => server.close());
+
+async function generateOffline(patientLabel) {
+  const res = await fetch(`${server.url}/generate`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      patientLabel,
+      userText: "Pt reports LBP 5/10. gait training with RW.",
+      mode: "offline",
+    }),
+  });
+  assert.equal(res.status, 200);
+}
+
+async function rotationLabels() {
+  const res = await fetch(`${server.url}/rotation`);
+  return (await res.json()).rotations.map((r) => r.patientKey);
+}
+
+test("placeholder patient labels do not key rotation state", async () => {
+  await generateOffline("Patient #1");
+  await generateOffline("pt 2");
+  await generateOffline("MRN 40213");
+
+  assert.deepEqual(await rotationLabels(), ["MRN 40213"]);
+});
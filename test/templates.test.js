@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { listen } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await listen();
+});
+after(() => server.close());
+
+async function send(method, route, body) {
+  const res = await fetch(`${server.url}${route}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// AUTH_MODE=off: there is no authenticated user, so nothing the client sends names the saver.
+test("template versions record savedBy from req.user, never a client clinicianId", async () => {
+  const cloned = await send("POST", "/eval/template/clone", {
+    discipline: "PT",
+    name: "BPPV",
+    newName: "BPPV copy",
+    clinicianId: "someone-else",
+  });
+  assert.equal(cloned.status, 201);
+
+  const removed = await send(
+    "DELETE",
+    "/eval/template?discipline=PT&name=BPPV%20copy&clinicianId=x"
+  );
+  assert.equal(removed.status, 200);
+
+  const { body } = await send("GET", "/eval/template/versions?discipline=PT&name=BPPV%20copy");
+  assert.deepEqual(
+    body.versions.map((v) => [v.action, v.savedBy]),
+    [
+      ["clone", null],
+      ["delete", null],
+    ]
+  );
+});
@@ -0,0 +1,46 @@
+import fs from "fs";
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import os from "os";
+import path from "path";
+import { createTopicRuleEngine } from "../topicRules.js";
+import { DEFAULT_VISIT_RULES, TERM_ALIASES, TERM_SETS } from "../visitRules.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "topic-rules-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const engine = createTopicRuleEngine({
+  defaults: DEFAULT_VISIT_RULES,
+  termSets: TERM_SETS,
+  aliases: TERM_ALIASES,
+  filePath: path.join(dir, "visit-rules.json"),
+  disciplines: ["PT", "OT", "SLP"],
+});
+
+function topics(userText) {
+  return engine.detectTopics(userText, "PT").map((r) => r.id);
+}
+
+test("a negation scope ends at a comma", () => {
+  assert.ok(topics("No falls, neck pain 5/10").includes("pt.neck"));
+  assert.ok(topics("Denies N/T, LBP 6/10").includes("pt.lbp"));
+});
+
+test('a negation scope ends at "and" / "with"', () => {
+  assert.deepEqual(topics("no LBP and neck pain 4/10"), ["pt.neck"]);
+  assert.ok(topics("no pain with lumbar flexion").includes("pt.lbp"));
+});
+
+test("a negation after the term scopes it", () => {
+  assert.deepEqual(topics("neck pain no longer present"), []);
+  assert.deepEqual(topics("LBP resolved"), []);
+  assert.deepEqual(topics("Shoulder pain: denies"), []);
+  assert.deepEqual(topics("Knee pain resolved but LBP persists"), ["pt.lbp"]);
+});
+
+test("pre-term negations and history still scope; trailing denials do not", () => {
+  assert.deepEqual(topics("denies neck pain"), []);
+  assert.deepEqual(topics("hx of LBP"), []);
+  assert.ok(topics("LBP 6/10 denies N/T").includes("pt.lbp"));
+  assert.ok(topics("no increase in LBP").includes("pt.lbp"));
+});
@@ -0,0 +1,19 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { createRateLimiter } from "../usageMeter.js";
+
+test("rate limiter enforces the window and forgets users whose window has passed", () => {
+  const limiter = createRateLimiter({ windowMs: 1000 });
+  const start = 10_000;
+
+  assert.equal(limiter.hit("a", 2, start).ok, true);
+  assert.equal(limiter.hit("a", 2, start + 10).ok, true);
+  assert.deepEqual(limiter.hit("a", 2, start + 20), { ok: false, remaining: 0, retryAfterSec: 1 });
+  assert.equal(limiter.hit("b", 2, start + 500).ok, true);
+  assert.equal(limiter.size(), 2);
+
+  // "a" has been idle for a full window, "b" has not.
+  assert.equal(limiter.hit("c", 2, start + 1200).ok, true);
+  assert.equal(limiter.size(), 2);
+  assert.equal(limiter.hit("a", 2, start + 1200).remaining, 1);
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { after, before, test } from "node:test";
+import { listen } from "./helpers.js";
+
+let server;
+before(async () => {
+  server = await listen();
+});
+after(() => server.close());
+
+async function validate(body) {
+  const res = await fetch(`${server.url}/validate`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const NOTE = [
+  "Subjective",
+  "Pt reports LBP 7/10. Pt slept poorly.",
+  "",
+  "Summary",
+  "Pt tolerated tx. Pt completed bridges with the patient's FWW.",
+  "",
+  "POC",
+  "Continue per plan.",
+].join("\n");
+
+test("/validate reports every violation with rule, severity, section and a span into the note", async () => {
+  const { status, body } = await validate({
+    note: NOTE,
+    userText: "Pt reports LBP. bridges.",
+    discipline: "PT",
+  });
+  assert.equal(status, 200);
+  assert.equal(body.ok, false);
+  assert.ok(body.violations.length >= 3);
+  assert.deepEqual(
+    body.reasons,
+    body.violations.map((v) => v.message)
+  );
+
+  for (const v of body.violations) {
+    assert.equal(typeof v.rule, "string");
+    assert.ok(["error", "warning"].includes(v.severity), v.rule);
+    assert.ok([null, "subjective", "summary", "poc"].includes(v.section), v.rule);
+    if (v.span) {
+      assert.equal(NOTE.slice(v.span.start, v.span.end), v.span.text, v.rule);
+    }
+  }
+
+  const byRule = (rule) => body.violations.find((v) => v.rule === rule);
+
+  const sentences = byRule("subjective.sentence_count");
+  assert.equal(sentences.section, "subjective");
+  assert.equal(sentences.span.start, NOTE.indexOf("Pt reports LBP"));
+
+  const pain = byRule("facts.pain");
+  assert.equal(pain.severity, "error");
+  assert.deepEqual(pain.span, {
+    start: NOTE.indexOf("7/10"),
+    end: NOTE.indexOf("7/10") + 4,
+    text: "7/10",
+  });
+
+  const device = byRule("facts.device");
+  assert.equal(device.section, "summary");
+  assert.equal(device.span.text, "FWW");
+});
+
+test("/validate without a note is a 400", async () => {
+  const { status, body } = await validate({ userText: "Pt reports LBP." });
+  assert.equal(status, 400);
+  assert.equal(body.error, "note is required.");
+});
@@ -0,0 +1,421 @@
+// ======================= topicRules.js =======================
+// Declarative visit-summary topic rules (see visitRules.js for the rule format).
+//
+// One engine replaces the hand-written PT/OT detect / constraint / validate functions:
+//  - detect   which rules a userText triggers
+//  - build    the repair-prompt constraint text for those rules
+//  - validate the Summary against each triggered rule's required terms
+// Both sides use the same whole-word, alias- and negation-aware matcher (termFound).
+//
+// Clinics add their own rules in DATA_DIR/visit-rules.json ({ "rules": { "<id>": rule } }).
+// A custom rule with a default rule's id is merged over it ({ id, enabled: false } turns it off).
+
+import { createJsonFileStore } from "./jsonStore.js";
+
+const RULE_ID_RE = /^[a-z0-9][a-z0-9_.-]*$/i;
+const RULE_SEVERITIES = ["warning", "error"];
+const RULE_KEYS = [
+  "id",
+  "discipline",
+  "topic",
+  "triggers",
+  "andTriggers",
+  "required",
+  "minCount",
+  "requiredPattern",
+  "constraint",
+  "rule",
+  "message",
+  "severity",
+  "enabled",
+];
+
+function ruleError(status, message, fields = []) {
+  const err = new Error(message);
+  err.status = status;
+  err.fields = fields;
+  return err;
+}
+
+// ---------------- Term matching ----------------
+// Text is split into clauses (. , ; ! ? newline) and lowercase word tokens. Words that follow
+// a negation/history cue are "scoped" until the clause ends, a scope-ending word appears, or
+// SCOPE_MAX_WORDS have passed. A negation after the term ("neck pain resolved", "LBP no longer
+// present") scopes the clause back to its start or the last scope end. Scoped words never
+// satisfy a term.
+
+const NEGATION_CUES = [
+  ["no", "longer"],
+  ["no"],
+  ["not"],
+  ["denies"],
+  ["denied"],
+  ["deny"],
+  ["without"],
+  ["negative", "for"],
+];
+const HISTORY_CUES = [["hx"], ["history", "of"], ["h", "o"], ["pmh"], ["pmhx"]];
+const SCOPE_CUES = [...NEGATION_CUES, ...HISTORY_CUES];
+// Post-term negations only count when nothing but POST_NEGATION_FILLER follows them
+// ("neck pain no longer present"); "LBP 6/10 denies N/T" still reports LBP.
+const POST_NEGATIONS = [
+  ["no", "longer"],
+  ["resolved"],
+  ["denies"],
+  ["denied"],
+  ["absent"],
+  ["gone"],
+];
+const POST_NEGATION_FILLER = [
+  "present",
+  "noted",
+  "reported",
+  "today",
+  "currently",
+  "now",
+  "at",
+  "this",
+  "time",
+  "anymore",
+  "per",
+  "pt",
+];
+// "no increase in LBP" still reports LBP: these look like cues but end a scope instead.
+const PSEUDO_NEGATIONS = [
+  ["no", "increase"],
+  ["no", "change"],
+  ["no", "worsening"],
+  ["not", "only"],
+];
+const SCOPE_ENDS = [
+  ...PSEUDO_NEGATIONS,
+  ["and"],
+  ["with"],
+  ["but"],
+  ["however"],
+  ["though"],
+  ["although"],
+  ["today"],
+  ["currently"],
+  ["now"],
+  ["reports"],
+  ["presents"],
+  ["complains"],
+  ["c", "o"],
+];
+const SCOPE_MAX_WORDS = 6;
+// Never equals a word token, so terms cannot match across clauses.
+const CLAUSE_BREAK = { word: "|", scoped: true };
+
+function cueLengthAt(words, i, cues) {
+  const cue = cues.find((c) => c.every((w, j) => words[i + j] === w));
+  return cue ? cue.length : 0;
+}
+
+function postNegationAt(words, i) {
+  const n = cueLengthAt(words, i, POST_NEGATIONS);
+  return n && words.slice(i + n).every((w) => POST_NEGATION_FILLER.includes(w)) ? n : 0;
+}
+
+function analyzeText(text) {
+  const tokens = [];
+  for (const clause of String(text || "")
+    .toLowerCase()
+    .split(/[.,;!?\n]+/)) {
+    const words = clause.match(/[a-z0-9]+/g) || [];
+    let scopeLeft = 0;
+    let scopeStart = tokens.length; // where a post-term negation reaches back to
+    for (let i = 0; i < words.length;) {
+      if (postNegationAt(words, i)) {
+        for (let k = scopeStart; k < tokens.length; k++) tokens[k].scoped = true;
+        for (const word of words.slice(i)) tokens.push({ word, scoped: true });
+        break;
+      }
+      // A scope end right after its cue ("no longer c/o neck pain") stays inside the scope.
+      const end = scopeLeft === SCOPE_MAX_WORDS ? 0 : cueLengthAt(words, i, SCOPE_ENDS);
+      const cue = end ? 0 : cueLengthAt(words, i, SCOPE_CUES);
+      if (end) {
+        scopeLeft = 0;
+        scopeStart = tokens.length + end;
+      }
+      const n = end || cue || 1;
+      for (let j = 0; j < n; j++) {
+        tokens.push({ word: words[i + j], scoped: cue > 0 || (!end && scopeLeft > 0) });
+      }
+      if (cue) scopeLeft = SCOPE_MAX_WORDS;
+      else if (!end && scopeLeft > 0) scopeLeft--;
+      i += n;
+    }
+    tokens.push(CLAUSE_BREAK);
+  }
+  return tokens;
+}
+
+// "upper trap*" -> { words: ["upper", "trap"], prefix: true }
+function parseTerm(term) {
+  const t = String(term || "")
+    .trim()
+    .toLowerCase();
+  return { words: t.match(/[a-z0-9]+/g) || [], prefix: t.endsWith("*") };
+}
+
+function wordMatches(token, word, { last, prefix }) {
+  if (!last) return token === word;
+  if (prefix) return token.startsWith(word);
+  return token === word || token === `${word}s` || token === `${word}es`;
+}
+
+function termFound(tokens, term) {
+  const { words, prefix } = parseTerm(term);
+  if (!words.length) return false;
+  for (let i = 0; i + words.length <= tokens.length; i++) {
+    const hit = words.every((w, j) => {
+      const tok = tokens[i + j];
+      return !tok.scoped && wordMatches(tok.word, w, { last: j === words.length - 1, prefix });
+    });
+    if (hit) return true;
+  }
+  return false;
+}
+
+// The words of `term` as `text` writes them ("ql" -> "QL", "sit-to-stand" -> "sit to stand").
+function termSurface(text, term) {
+  const { words, prefix } = parseTerm(term);
+  const last = prefix ? "[a-z0-9]*" : "(?:e?s)?";
+  const m = String(text || "").match(
+    new RegExp(`(?<![a-z0-9])${words.join("[^a-z0-9]+")}${last}(?![a-z0-9])`, "i")
+  );
+  return m ? m[0] : words.join(" ");
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((t) => typeof t === "string" && t.length > 0);
+}
+
+function createTopicRuleEngine({
+  defaults = [],
+  termSets = {},
+  aliases = {},
+  filePath,
+  disciplines = [],
+}) {
+  const store = createJsonFileStore(filePath, { rules: {} });
+  const defaultIds = new Set(defaults.map((r) => r.id));
+
+  // "@knee" -> the knee term set; plain strings pass through.
+  function expandTerms(terms) {
+    return (terms || []).flatMap((t) =>
+      typeof t === "string" && t.startsWith("@") ? termSets[t.slice(1)] || [] : [t]
+    );
+  }
+
+  // A term plus its abbreviation aliases ("hamstring" -> ["hamstring", "hs"]).
+  function termGroup(term) {
+    return [term, ...(aliases[String(term).replace(/\*$/, "").toLowerCase()] || [])];
+  }
+
+  function anyTermFound(tokens, terms) {
+    return expandTerms(terms).some((t) => termGroup(t).some((a) => termFound(tokens, a)));
+  }
+
+  // Terms (or an alias of each) named in text outside a negation/history scope, as text words them.
+  function findTerms(text, terms) {
+    const tokens = analyzeText(text);
+    return expandTerms(terms).flatMap((t) => {
+      const hit = termGroup(t).find((a) => termFound(tokens, a));
+      return hit ? [termSurface(text, hit)] : [];
+    });
+  }
+
+  function customRules() {
+    return store.read().rules || {};
+  }
+
+  function normalizeRule(rule, source) {
+    return {
+      ...rule,
+      discipline: String(rule.discipline || "*").toUpperCase(),
+      minCount: rule.minCount ?? 1,
+      rule: rule.rule || `content.${rule.id}`,
+      severity: rule.severity || "warning",
+      enabled: rule.enabled !== false,
+      source,
+    };
+  }
+
+  // Defaults (with any custom overrides merged in) followed by custom-only rules.
+  function allRules() {
+    const custom = customRules();
+    const merged = defaults.map((r) =>
+      custom[r.id]
+        ? normalizeRule({ ...r, ...custom[r.id] }, "custom")
+        : normalizeRule(r, "default")
+    );
+    const added = Object.values(custom)
+      .filter((r) => !defaultIds.has(r.id))
+      .map((r) => normalizeRule(r, "custom"));
+    return [...merged, ...added];
+  }
+
+  function activeRules(discipline) {
+    const d = discipline ? String(discipline).toUpperCase() : null;
+    return allRules().filter(
+      (r) => r.enabled && (!d || r.discipline === "*" || r.discipline === d)
+    );
+  }
+
+  function isTriggered(rule, tokens) {
+    if (!anyTermFound(tokens, rule.triggers)) return false;
+    return !rule.andTriggers?.length || anyTermFound(tokens, rule.andTriggers);
+  }
+
+  function detectTopics(userText, discipline) {
+    const tokens = analyzeText(userText);
+    return activeRules(discipline).filter((r) => isTriggered(r, tokens));
+  }
+
+  // { constraintsText, topics } for the content repair prompt.
+  function buildConstraints(userText, discipline) {
+    const hits = detectTopics(userText, discipline);
+    return {
+      constraintsText: hits
+        .map((r) => r.constraint)
+        .filter(Boolean)
+        .join("\n  "),
+      topics: hits.map((r) => r.id),
+    };
+  }
+
+  // minCount counts distinct required terms (a term and its aliases count once).
+  function ruleSatisfied(rule, tokens, summary) {
+    if (rule.requiredPattern && !new RegExp(rule.requiredPattern, "i").test(summary)) return false;
+    if (!rule.required?.length) return true;
+    const found = new Set(expandTerms(rule.required).filter((t) => anyTermFound(tokens, [t])));
+    return found.size >= rule.minCount;
+  }
+
+  // Summary violations ({ rule, severity, message, section, span }) for every triggered rule.
+  function validate({ summary, userText, discipline }) {
+    const s = String(summary || "");
+    const tokens = analyzeText(s);
+    return detectTopics(userText, discipline)
+      .filter((r) => r.required?.length || r.requiredPattern)
+      .filter((r) => !ruleSatisfied(r, tokens, s))
+      .map((r) => ({
+        rule: r.rule,
+        severity: r.severity,
+        message:
+          r.message ||
+          `${r.discipline} visit summary: ${r.topic || r.id} topic requires specific content.`,
+        section: "summary",
+        span: null,
+      }));
+  }
+
+  // Field errors ({ field, message }) for a rule as it would be active (after merging).
+  function validateRuleDefinition(rule) {
+    const errors = [];
+    const add = (field, message) => errors.push({ field, message });
+
+    for (const key of Object.keys(rule)) {
+      if (!RULE_KEYS.includes(key)) add(key, `Unknown rule field: ${key}.`);
+    }
+    if (typeof rule.id !== "string" || !RULE_ID_RE.test(rule.id)) {
+      add("id", "id must be letters, digits, '.', '_' or '-'.");
+    }
+    const discipline = String(rule.discipline || "*").toUpperCase();
+    if (discipline !== "*" && !disciplines.includes(discipline)) {
+      add("discipline", `discipline must be "*" or one of: ${disciplines.join(", ")}.`);
+    }
+    for (const field of ["triggers", "andTriggers", "required"]) {
+      const value = rule[field];
+      if (value == null) continue;
+      if (!isStringList(value)) {
+        add(field, `${field} must be an array of non-empty strings.`);
+        continue;
+      }
+      for (const t of value) {
+        if (t.startsWith("@")) {
+          if (!termSets[t.slice(1)]) add(field, `Unknown term set: ${t}.`);
+        } else if (!parseTerm(t).words.length || /\*./.test(t)) {
+          add(field, `Invalid term "${t}" (words, with "*" only at the end).`);
+        }
+      }
+    }
+    if (!rule.triggers?.length) add("triggers", "triggers must list at least one term.");
+    if (rule.minCount != null) {
+      const max = expandTerms(rule.required).length;
+      if (!Number.isInteger(rule.minCount) || rule.minCount < 1 || rule.minCount > max) {
+        add(
+          "minCount",
+          `minCount must be an integer from 1 to ${max} (the number of required terms).`
+        );
+      }
+    }
+    if (rule.requiredPattern != null) {
+      try {
+        new RegExp(rule.requiredPattern, "i");
+      } catch (err) {
+        add("requiredPattern", `requiredPattern is not a valid regex: ${err.message}`);
+      }
+    }
+    for (const field of ["topic", "constraint", "rule", "message"]) {
+      if (rule[field] != null && typeof rule[field] !== "string") {
+        add(field, `${field} must be a string.`);
+      }
+    }
+    if (!rule.constraint && !rule.required?.length && !rule.requiredPattern) {
+      add("constraint", "A rule needs constraint text, required terms, or a requiredPattern.");
+    }
+    if (rule.severity != null && !RULE_SEVERITIES.includes(rule.severity)) {
+      add("severity", `severity must be one of: ${RULE_SEVERITIES.join(", ")}.`);
+    }
+    if (rule.enabled != null && typeof rule.enabled !== "boolean") {
+      add("enabled", "enabled must be true or false.");
+    }
+    return errors;
+  }
+
+  // Add or replace a custom rule (validated as merged over the default with the same id).
+  function upsert(rule, { savedBy } = {}) {
+    const base = defaults.find((r) => r.id === rule?.id) || {};
+    const { updatedAt, savedBy: _savedBy, ...fields } = rule || {};
+    const errors = validateRuleDefinition({ ...base, ...fields });
+    if (errors.length) throw ruleError(400, "Rule failed validation.", errors);
+
+    return store.update((data) => {
+      data.rules ||= {};
+      data.rules[fields.id] = {
+        ...fields,
+        updatedAt: new Date().toISOString(),
+        savedBy: savedBy || null,
+      };
+      return normalizeRule({ ...base, ...data.rules[fields.id] }, "custom");
+    });
+  }
+
+  // Drop a custom rule; a default it overrode becomes active again unchanged.
+  function remove(id) {
+    return store.update((data) => {
+      if (!data.rules?.[id]) throw ruleError(404, `Custom rule not found: ${id}`);
+      delete data.rules[id];
+      return { id, restoredDefault: defaultIds.has(id) };
+    });
+  }
+
+  return {
+    termSets,
+    aliases,
+    allRules,
+    activeRules,
+    detectTopics,
+    findTerms,
+    buildConstraints,
+    validate,
+    validateRuleDefinition,
+    upsert,
+    remove,
+  };
+}
+
+export { createTopicRuleEngine };
@@ -0,0 +1,368 @@
+// ======================= usageMeter.js =======================
+// Token + estimated-cost accounting, per-user rate limits and monthly quotas.
+//
+// - createMeteringProvider(inner) wraps an llm.js provider and records every call's usage on
+//   the current request's meter (request scope: runWithUsage / currentUsage).
+// - A meter knows which pipeline pass is running (meter.track("repair", fn)), so spend can be
+//   split by draft / repair / coerce / muscle / format / facts / ...; calls made outside a
+//   tracked pass (aisummary.js) are recorded as "model".
+// - createUsageLedger({ filePath }) keeps daily aggregates in DATA_DIR/usage.json:
+//    {
+//      "days": {
+//        "2026-03-14": {
+//          "requests": { "<userId>|<route>": n },
+//          "calls": { "<userId>|<route>|<pass>|<model>": {
+//            requests, calls, promptTokens, completionTokens, costUsd, estimated } }
+//        }
+//      }
+//    }
+//   ("requests" on a call row = requests that ran that pass at least once)
+// - createRateLimiter() is a per-process sliding window (requests per minute per user); idle
+//   users' entries are swept once their window has passed.
+//
+// Costs are estimates from MODEL_PRICES (USD per 1M tokens); unknown models cost 0.
+// Providers that return no usage get a chars/4 estimate (flagged `estimated`).
+
+import { AsyncLocalStorage } from "async_hooks";
+import { createJsonFileStore } from "./jsonStore.js";
+
+// USD per 1M tokens { input, output }; longest matching prefix wins ("gpt-4o-mini-2024-07-18").
+const MODEL_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  mock: { input: 0, output: 0 },
+};
+
+const DEFAULT_PASS = "model";
+const GROUP_KEYS = ["user", "route", "pass", "model", "day"];
+
+function priceFor(model, prices = MODEL_PRICES) {
+  const name = String(model || "");
+  const key = Object.keys(prices)
+    .filter((k) => name === k || name.startsWith(`${k}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function roundUsd(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+// One model call -> { pass, model, promptTokens, completionTokens, totalTokens, costUsd, estimated }
+function usageEntry({ pass, model, usage, messages, text, prices }) {
+  const estimated = !usage;
+  const promptTokens = usage
+    ? Number(usage.prompt_tokens) || 0
+    : estimateTokens((messages || []).map((m) => m?.content || "").join("\n"));
+  const completionTokens = usage ? Number(usage.completion_tokens) || 0 : estimateTokens(text);
+  const price = priceFor(model, prices) || { input: 0, output: 0 };
+  return {
+    pass,
+    model,
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    costUsd: roundUsd((promptTokens * price.input + completionTokens * price.output) / 1e6),
+    estimated,
+  };
+}
+
+// { calls, promptTokens, completionTokens, totalTokens, costUsd, byPass: { draft: {...} } }
+function summarizeCalls(calls) {
+  const add = (acc, c) => {
+    acc.calls += 1;
+    acc.promptTokens += c.promptTokens;
+    acc.completionTokens += c.completionTokens;
+    acc.totalTokens += c.totalTokens;
+    acc.costUsd = roundUsd(acc.costUsd + c.costUsd);
+    return acc;
+  };
+  const empty = () => ({
+    calls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    costUsd: 0,
+  });
+
+  const total = empty();
+  const byPass = {};
+  for (const c of calls) {
+    add(total, c);
+    add((byPass[c.pass] ||= empty()), c);
+  }
+  return { ...total, byPass };
+}
+
+// ---------------- Request meter + scope ----------------
+
+// onRecord(entry) runs after each call is recorded.
+function createUsageMeter({ onRecord } = {}) {
+  const calls = [];
+  let pass = null;
+
+  return {
+    calls,
+    record(entry) {
+      calls.push(entry);
+      onRecord?.(entry);
+    },
+    currentPass: () => pass || DEFAULT_PASS,
+    // Attributes calls made while fn runs to `name` (passes run one at a time per request).
+    async track(name, fn) {
+      const previous = pass;
+      pass = name;
+      try {
+        return await fn();
+      } finally {
+        pass = previous;
+      }
+    },
+    summary: () => summarizeCalls(calls),
+  };
+}
+
+const usageScope = new AsyncLocalStorage();
+
+function runWithUsage(meter, fn) {
+  return usageScope.run(meter, fn);
+}
+
+function currentUsage() {
+  return usageScope.getStore() || null;
+}
+
+// ---------------- Provider wrapper ----------------
+
+function createMeteringProvider(inner, { prices = MODEL_PRICES, getMeter = currentUsage } = {}) {
+  function record(opts, result) {
+    const meter = getMeter();
+    if (!meter) return;
+    meter.record(
+      usageEntry({
+        pass: meter.currentPass(),
+        model: opts.model || inner.model,
+        usage: result?.usage,
+        messages: opts.messages,
+        text: result?.text,
+        prices,
+      })
+    );
+  }
+
+  const provider = {
+    ...inner,
+    async chat(opts = {}) {
+      const result = await inner.chat(opts);
+      record(opts, result);
+      return result;
+    },
+  };
+
+  if (typeof inner.chatStream === "function") {
+    provider.chatStream = async (opts = {}) => {
+      const result = await inner.chatStream(opts);
+      record(opts, result);
+      return result;
+    };
+  }
+
+  return provider;
+}
+
+// ---------------- Ledger (daily aggregates) ----------------
+
+function dayOf(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function createUsageLedger({ filePath }) {
+  const store = createJsonFileStore(filePath, { days: {} });
+
+  // One finished request: { at, userId, route, calls: [usageEntry] }. Requests without calls
+  // are not recorded; countRequest: false adds late calls to a request already counted.
+  function record({ at = new Date(), userId, route, calls, countRequest = true }) {
+    if (!calls?.length) return;
+    store.update((data) => {
+      data.days ||= {};
+      const day = (data.days[dayOf(at)] ||= { requests: {}, calls: {} });
+      const reqKey = `${userId}|${route}`;
+      if (countRequest) day.requests[reqKey] = (day.requests[reqKey] || 0) + 1;
+
+      const seen = new Set();
+      for (const c of calls) {
+        const key = `${reqKey}|${c.pass}|${c.model}`;
+        const row = (day.calls[key] ||= {
+          requests: 0,
+          calls: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          costUsd: 0,
+          estimated: false,
+        });
+        if (countRequest && !seen.has(key)) row.requests += 1;
+        seen.add(key);
+        row.calls += 1;
+        row.promptTokens += c.promptTokens;
+        row.completionTokens += c.completionTokens;
+        row.costUsd = roundUsd(row.costUsd + c.costUsd);
+        row.estimated ||= Boolean(c.estimated);
+      }
+    });
+  }
+
+  function daysBetween(data, from, to) {
+    const fromDay = from ? dayOf(from) : null;
+    const toDay = to ? dayOf(to) : null;
+    return Object.entries(data.days || {}).filter(
+      ([day]) => (!fromDay || day >= fromDay) && (!toDay || day <= toDay)
+    );
+  }
+
+  // Flat rows: { day, user, route, pass, model, requests, calls, promptTokens, ... }
+  function rowsBetween(from, to) {
+    return daysBetween(store.read(), from, to).flatMap(([day, { calls = {} }]) =>
+      Object.entries(calls).map(([key, row]) => {
+        const [user, route, pass, model] = key.split("|");
+        return { day, user, route, pass, model, ...row };
+      })
+    );
+  }
+
+  function requestsBetween(from, to) {
+    return daysBetween(store.read(), from, to).flatMap(([day, { requests = {} }]) =>
+      Object.entries(requests).map(([key, n]) => {
+        const [user, route] = key.split("|");
+        return { day, user, route, requests: n };
+      })
+    );
+  }
+
+  // One user's totals over a period (quota checks).
+  function totals({ userId, from, to }) {
+    const rows = rowsBetween(from, to).filter((r) => r.user === userId);
+    const requests = requestsBetween(from, to)
+      .filter((r) => r.user === userId)
+      .reduce((n, r) => n + r.requests, 0);
+    return rows.reduce(
+      (acc, r) => {
+        acc.calls += r.calls;
+        acc.promptTokens += r.promptTokens;
+        acc.completionTokens += r.completionTokens;
+        acc.totalTokens += r.promptTokens + r.completionTokens;
+        acc.costUsd = roundUsd(acc.costUsd + r.costUsd);
+        return acc;
+      },
+      { requests, calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 }
+    );
+  }
+
+  // groupBy: subset of GROUP_KEYS. `requests` is only exact when grouping by user/route/day;
+  // grouped by pass/model it counts requests that ran that pass/model.
+  function report({ from, to, groupBy = ["user"] } = {}) {
+    const keys = GROUP_KEYS.filter((k) => groupBy.includes(k));
+    const byRequest = !keys.some((k) => k === "pass" || k === "model");
+    const groups = new Map();
+    const groupOf = (r) => {
+      const id = keys.map((k) => r[k]).join("|");
+      if (!groups.has(id)) {
+        groups.set(id, {
+          ...Object.fromEntries(keys.map((k) => [k, r[k]])),
+          requests: 0,
+          calls: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          totalTokens: 0,
+          costUsd: 0,
+          estimated: false,
+        });
+      }
+      return groups.get(id);
+    };
+
+    for (const r of rowsBetween(from, to)) {
+      const g = groupOf(r);
+      if (!byRequest) g.requests += r.requests;
+      g.calls += r.calls;
+      g.promptTokens += r.promptTokens;
+      g.completionTokens += r.completionTokens;
+      g.totalTokens += r.promptTokens + r.completionTokens;
+      g.costUsd = roundUsd(g.costUsd + r.costUsd);
+      g.estimated ||= r.estimated;
+    }
+    if (byRequest) {
+      for (const r of requestsBetween(from, to)) groupOf(r).requests += r.requests;
+    }
+
+    const rows = [...groups.values()].sort(
+      (a, b) => b.costUsd - a.costUsd || b.totalTokens - a.totalTokens
+    );
+    const total = rows.reduce(
+      (acc, r) => ({
+        calls: acc.calls + r.calls,
+        totalTokens: acc.totalTokens + r.totalTokens,
+        costUsd: roundUsd(acc.costUsd + r.costUsd),
+      }),
+      { calls: 0, totalTokens: 0, costUsd: 0 }
+    );
+    return { groupBy: keys, total, rows };
+  }
+
+  return { record, totals, report };
+}
+
+// ---------------- Rate limiter (in memory, per process) ----------------
+
+function createRateLimiter({ windowMs = 60_000 } = {}) {
+  const hits = new Map(); // key -> timestamps (ms) inside the window
+  let lastSweep = 0;
+
+  // Keys whose newest hit has left the window are dropped, at most once per window.
+  function sweep(now) {
+    if (now - lastSweep < windowMs) return;
+    lastSweep = now;
+    for (const [key, times] of hits) {
+      if (now - times[times.length - 1] >= windowMs) hits.delete(key);
+    }
+  }
+
+  // limit <= 0 disables the check. Returns { ok, remaining, retryAfterSec }.
+  function hit(key, limit, now = Date.now()) {
+    sweep(now);
+    if (!(limit > 0)) return { ok: true, remaining: null, retryAfterSec: 0 };
+    const recent = (hits.get(key) || []).filter((t) => now - t < windowMs);
+    if (recent.length >= limit) {
+      hits.set(key, recent);
+      return {
+        ok: false,
+        remaining: 0,
+        retryAfterSec: Math.ceil((recent[0] + windowMs - now) / 1000),
+      };
+    }
+    recent.push(now);
+    hits.set(key, recent);
+    return { ok: true, remaining: limit - recent.length, retryAfterSec: 0 };
+  }
+
+  return { hit, size: () => hits.size };
+}
+
+export {
+  GROUP_KEYS,
+  MODEL_PRICES,
+  createMeteringProvider,
+  createRateLimiter,
+  createUsageLedger,
+  createUsageMeter,
+  currentUsage,
+  priceFor,
+  runWithUsage,
+  summarizeCalls,
+};
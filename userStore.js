@@ -0,0 +1,186 @@
+// ======================= userStore.js =======================
+// Users, roles and per-user API keys (used as X-API-Key or Authorization: Bearer <key>).
+//
+// File shape (DATA_DIR/users.json):
+//  {
+//    "users": {
+//      "<id>": {
+//        id, name, role, disabled, createdAt, updatedAt,
+//        limits,                                  // optional per-user overrides (see LIMIT_KEYS)
+//        keys: [{ id, prefix, hash, createdAt, revokedAt }]
+//      }
+//    }
+//  }
+//
+// Keys are only returned once (on creation); the store keeps a SHA-256 hash and a short
+// prefix so admins can tell keys apart.
+//
+// Roles (lowest to highest): "assistant" < "therapist" < "admin".
+
+import crypto from "crypto";
+import { createJsonFileStore } from "./jsonStore.js";
+
+const ROLES = ["assistant", "therapist", "admin"];
+const KEY_PREFIX = "gsk_";
+// Per-user overrides of the server-wide usage limits (usageMeter.js); 0 = unlimited.
+const LIMIT_KEYS = ["perMinute", "monthlyTokens", "monthlyCostUsd"];
+
+function userError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function roleAtLeast(role, minimum) {
+  return ROLES.includes(minimum) && ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+// Public view: no key hashes.
+function describeUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    role: user.role,
+    disabled: Boolean(user.disabled),
+    limits: user.limits || null,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+    keys: (user.keys || []).map(({ id, prefix, createdAt, revokedAt }) => ({
+      id,
+      prefix,
+      createdAt,
+      revokedAt: revokedAt || null,
+    })),
+  };
+}
+
+function createUserStore({ filePath }) {
+  const store = createJsonFileStore(filePath, { users: {} });
+
+  function newKey(user, now) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+    const entry = {
+      id: crypto.randomUUID(),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      hash: hashKey(key),
+      createdAt: now,
+      revokedAt: null,
+    };
+    user.keys.push(entry);
+    return { key, keyId: entry.id };
+  }
+
+  function mustFind(data, id) {
+    const user = data.users?.[id];
+    if (!user) throw userError(404, `User not found: ${id}`);
+    return user;
+  }
+
+  function assertRole(role) {
+    if (!ROLES.includes(role)) {
+      throw userError(400, `role must be one of: ${ROLES.join(", ")}.`);
+    }
+  }
+
+  // null clears the overrides; otherwise only LIMIT_KEYS with non-negative numbers are kept.
+  function readLimits(limits) {
+    if (limits === null) return null;
+    if (typeof limits !== "object" || Array.isArray(limits)) {
+      throw userError(400, `limits must be an object with: ${LIMIT_KEYS.join(", ")}.`);
+    }
+    const out = {};
+    for (const [key, value] of Object.entries(limits)) {
+      if (!LIMIT_KEYS.includes(key)) throw userError(400, `Unknown limit: ${key}`);
+      if (value == null) continue;
+      if (typeof value !== "number" || !(value >= 0)) {
+        throw userError(400, `limits.${key} must be a non-negative number.`);
+      }
+      out[key] = value;
+    }
+    return Object.keys(out).length ? out : null;
+  }
+
+  function list() {
+    return Object.values(store.read().users || {}).map(describeUser);
+  }
+
+  function get(id) {
+    const user = store.read().users?.[id];
+    return user ? describeUser(user) : null;
+  }
+
+  // Resolve an API key to its (enabled) user; null when unknown, revoked or disabled.
+  function authenticate(key) {
+    if (!key) return null;
+    const hash = hashKey(key);
+    for (const user of Object.values(store.read().users || {})) {
+      const match = (user.keys || []).find((k) => !k.revokedAt && k.hash === hash);
+      if (match) return user.disabled ? null : { ...describeUser(user), keyId: match.id };
+    }
+    return null;
+  }
+
+  // Returns { user, apiKey } — the only time the raw key is available.
+  function create({ name, role }) {
+    assertRole(role);
+    return store.update((data) => {
+      data.users ||= {};
+      const now = new Date().toISOString();
+      const user = {
+        id: crypto.randomUUID(),
+        name,
+        role,
+        disabled: false,
+        createdAt: now,
+        updatedAt: now,
+        keys: [],
+      };
+      const { key } = newKey(user, now);
+      data.users[user.id] = user;
+      return { user: describeUser(user), apiKey: key };
+    });
+  }
+
+  function update({ id, name, role, disabled, limits }) {
+    if (role != null) assertRole(role);
+    const nextLimits = limits === undefined ? undefined : readLimits(limits);
+    return store.update((data) => {
+      const user = mustFind(data, id);
+      if (name != null) user.name = name;
+      if (role != null) user.role = role;
+      if (disabled != null) user.disabled = Boolean(disabled);
+      if (nextLimits !== undefined) user.limits = nextLimits;
+      user.updatedAt = new Date().toISOString();
+      return describeUser(user);
+    });
+  }
+
+  function addKey(id) {
+    return store.update((data) => {
+      const user = mustFind(data, id);
+      const now = new Date().toISOString();
+      const { key, keyId } = newKey(user, now);
+      user.updatedAt = now;
+      return { user: describeUser(user), apiKey: key, keyId };
+    });
+  }
+
+  function revokeKey({ id, keyId }) {
+    return store.update((data) => {
+      const user = mustFind(data, id);
+      const key = (user.keys || []).find((k) => k.id === keyId);
+      if (!key) throw userError(404, `Key not found: ${keyId}`);
+      key.revokedAt ||= new Date().toISOString();
+      user.updatedAt = key.revokedAt;
+      return describeUser(user);
+    });
+  }
+
+  return { list, get, authenticate, create, update, addKey, revokeKey };
+}
+
+export { LIMIT_KEYS, ROLES, createUserStore, hashKey, roleAtLeast };
@@ -0,0 +1,558 @@
+// ======================= visitRules.js =======================
+// Default visit-summary topic rules (PT + OT), as data for topicRules.js.
+//
+// Rule fields:
+//  id              unique id ("pt.shoulder")
+//  discipline      "PT" | "OT" | "SLP" | "*"
+//  topic           short label for listings
+//  triggers        userText terms; ANY match activates the rule ("@name" = a TERM_SETS entry)
+//  andTriggers     optional second group; ANY of these must ALSO match
+//  required        Summary terms; at least `minCount` distinct ones must appear (default 1)
+//  requiredPattern optional regex (string) the Summary must match instead of / besides `required`
+//  constraint      text added to the repair prompt when the rule is active
+//  rule            violation rule id reported when the Summary check fails (default "content.<id>")
+//  message         violation message
+//  severity        "warning" (default; content rules are best-effort) | "error"
+//
+// Rules without `required` / `requiredPattern` only contribute constraint text.
+//
+// Terms match whole words ("lat" matches "lat"/"lats", never "lateral"; "gh" never "though").
+// A trailing "*" makes the last word a prefix ("suboccip*" -> suboccipitals). Case and
+// punctuation are ignored, so "sit-to-stand" also matches "sit to stand".
+// Mentions scoped by a negation or history cue ("denies neck pain", "no LBP", "hx of TKA",
+// "neck pain resolved") do not count, in userText or in the Summary. Scopes end at commas,
+// "and"/"with"/"but", so "No falls, neck pain 5/10" still reports neck pain.
+
+// Abbreviation <-> spelled-out equivalents; a term matches if any of its aliases does.
+export const TERM_ALIASES = {
+  lat: ["latissimus"],
+  scm: ["sternocleidomastoid"],
+  "upper trap": ["ut", "upper trapezius"],
+  "pec minor": ["pectoralis minor"],
+  ql: ["quadratus lumborum"],
+  tfl: ["tensor fasciae latae"],
+  "glute med": ["gluteus medius"],
+  "glute min": ["gluteus minimus"],
+  hamstring: ["hs"],
+  "it band": ["itb", "iliotibial band"],
+  "tib post": ["tibialis posterior", "posterior tibialis"],
+  "sit-to-stand": ["sts"],
+  sts: ["sit-to-stand"],
+  lbp: ["low back pain"],
+  "low back": ["lbp"],
+  ue: ["upper extremity"],
+  "upper extremity": ["ue"],
+  ae: ["adaptive equipment"],
+  "adaptive equipment": ["ae"],
+};
+
+export const TERM_SETS = {
+  neck: ["neck pain", "cervical", "c-spine", "suboccip*", "upper trap*", "levator"],
+  lbp: [
+    "lbp",
+    "low back",
+    "lowback",
+    "lumbar",
+    "l-spine",
+    "radicul*",
+    "sciatica",
+    "paraspinal",
+    "ql",
+  ],
+  shoulder: ["shoulder pain", "rotator cuff", "rtc", "impingement", "gh", "glenohumeral"],
+  knee: ["knee pain", "knee oa", "tka", "patella", "patellar"],
+  hip: [
+    "hip pain",
+    "hip oa",
+    "total hip",
+    "hip replacement",
+    "trochanter*",
+    "hip bursitis",
+    "hip flexor",
+    "labral",
+  ],
+  ankle: [
+    "ankle",
+    "foot pain",
+    "plantar fasci*",
+    "achilles",
+    "heel pain",
+    "talocrural",
+    "metatars*",
+  ],
+  mt: ["mt", "manual therapy", "manual tx", "stm", "soft tissue", "iastm"],
+  therAct: [
+    "theract",
+    "ther-act",
+    "functional training",
+    "functional task",
+    "sit-to-stand",
+    "sts",
+    "transfer",
+    "lifting",
+    "carry",
+  ],
+};
+
+export const DEFAULT_VISIT_RULES = [
+  // ---------------- PT ----------------
+  {
+    id: "pt.neck",
+    discipline: "PT",
+    topic: "neck/cervical",
+    triggers: ["@neck"],
+    required: [
+      "suboccip*",
+      "posterior cervical",
+      "upper trap*",
+      "levator",
+      "scm",
+      "pec minor",
+      "lat",
+    ],
+    constraint:
+      "If neck/cervical topic: include STM to release suboccipitals, posterior cervical musculature, UT, and levator scap; include manual stretching emphasizing SCM release/stretch, pec minor stretch, lat stretch, and UT/levator scap stretch; MUST name those muscles (no 'neck muscles').",
+    rule: "content.neck_muscles",
+    message:
+      "PT visit summary: neck topic requires explicit muscles (suboccipitals, posterior cervical, UT, levator scap, SCM, pec minor, lats).",
+  },
+  {
+    id: "pt.lbp",
+    discipline: "PT",
+    topic: "LBP/lumbar",
+    triggers: ["@lbp"],
+    required: ["paraspinal", "ql", "multifid*", "glute med", "tfl", "piriformis", "hamstring"],
+    constraint:
+      "If LBP/lumbar topic: include STM to release lumbar paraspinals, QL, multifidi, glute med, TFL, and piriformis; include manual stretching to hamstrings (HS), glute med, TFL, and piriformis; MUST name those muscles (no 'back muscles').",
+    rule: "content.lbp_muscles",
+    message:
+      "PT visit summary: LBP topic requires explicit muscles (lumbar paraspinals, QL, multifidi, glute med, TFL, piriformis, HS).",
+  },
+  {
+    id: "pt.lbp_theract",
+    discipline: "PT",
+    topic: "LBP + TherAct",
+    triggers: ["@lbp"],
+    andTriggers: ["@therAct"],
+    required: ["sit-to-stand", "transfer", "hip hinge", "lifting mechanics", "functional training"],
+    constraint:
+      "If LBP and TherAct mentioned: include TherAct functional training (e.g., sit-to-stand mechanics, transfer training, hip hinge/lifting mechanics, functional mobility tasks) consistent with user instruction, without adding devices or assist levels.",
+    rule: "content.lbp_theract",
+    message:
+      "PT visit summary: LBP + TherAct requires TherAct functional training detail (STS/transfers/hip hinge/lifting mechanics/etc.).",
+  },
+  {
+    id: "pt.core",
+    discipline: "PT",
+    topic: "core/abdominal",
+    triggers: ["core", "abdominal", "abd", "trunk stability", "stabilizer"],
+    required: ["core activation", "abd stabil*", "trunk stabil*", "core stabil*"],
+    constraint:
+      "If core/abdominal mentioned: include core and abd stabilizers addressed via core activation techniques and TherEx targeting trunk stabilization.",
+    rule: "content.core_activation",
+    message:
+      "PT visit summary: core/abdominal mention requires core activation / abd stabilizer training.",
+  },
+  {
+    id: "pt.shoulder",
+    discipline: "PT",
+    topic: "shoulder",
+    triggers: ["@shoulder"],
+    required: ["supraspinatus", "deltoid", "infraspinatus", "teres minor", "teres major", "lat"],
+    constraint:
+      "If shoulder topic: MUST name supraspinatus, deltoid, infraspinatus, teres minor, teres major, and lats; if MT/STM is referenced, phrase as STM/MT to release those specific tissues (no 'shoulder region').",
+    rule: "content.shoulder_muscles",
+    message:
+      "PT visit summary: shoulder topic requires explicit muscles (supraspinatus, deltoid, infraspinatus, teres minor/major, lats).",
+  },
+  {
+    id: "pt.knee_mt",
+    discipline: "PT",
+    topic: "knee + MT",
+    triggers: ["@knee"],
+    andTriggers: ["@mt"],
+    required: ["it band", "distal quad*", "popliteus", "hamstring", "gastroc*"],
+    constraint:
+      "If knee topic and MT/STM referenced: MUST name IT band, distal quads, popliteus, distal medial/lateral HS, and proximal medial gastroc (no 'knee muscles').",
+    rule: "content.knee_mt_tissues",
+    message:
+      "PT visit summary: knee + MT topic requires explicit tissues (ITB, distal quads, popliteus, distal HS, proximal medial gastroc).",
+  },
+  {
+    id: "pt.patella_mobs",
+    discipline: "PT",
+    topic: "patella hypomobile",
+    triggers: [
+      "patella hypomobile",
+      "patellar hypomobile",
+      "hypomobile patella",
+      "patellar mobility limited",
+    ],
+    requiredPattern: "GPM\\s*III-?IV",
+    constraint:
+      "If patella hypomobile mentioned: include patellar joint mobilization using GPM III-IV in all directions to improve mobility and decrease pain.",
+    rule: "content.patella_mobs",
+    message:
+      "PT visit summary: patella hypomobile requires GPM III-IV patellar mobs in all directions.",
+  },
+  {
+    id: "pt.hip",
+    discipline: "PT",
+    topic: "hip",
+    triggers: ["@hip"],
+    required: ["glute med", "glute min", "piriformis", "iliopsoas", "tfl"],
+    constraint:
+      "If hip topic: MUST name glute med, glute min, piriformis, iliopsoas, and TFL; if MT/STM is referenced, phrase as STM/MT to release those specific tissues (no 'hip muscles').",
+    rule: "content.hip_muscles",
+    message:
+      "PT visit summary: hip topic requires explicit muscles (glute med/min, piriformis, iliopsoas, TFL).",
+  },
+  {
+    id: "pt.ankle",
+    discipline: "PT",
+    topic: "ankle/foot",
+    triggers: ["@ankle"],
+    required: ["gastroc*", "soleus", "peroneal", "fibularis", "plantar fascia", "tib post*"],
+    constraint:
+      "If ankle/foot topic: MUST name gastroc, soleus, and peroneals (plus plantar fascia or tib post when relevant) (no 'calf muscles' or 'ankle region').",
+    rule: "content.ankle_muscles",
+    message:
+      "PT visit summary: ankle/foot topic requires explicit tissues (gastroc/soleus, peroneals, plantar fascia, tib post).",
+  },
+  {
+    id: "pt.ankle_mobs",
+    discipline: "PT",
+    topic: "ankle/foot + MT",
+    triggers: ["@ankle"],
+    andTriggers: ["@mt"],
+    required: ["talocrural", "joint mob*", "ankle mob*"],
+    constraint:
+      "If ankle/foot topic and MT referenced: include talocrural joint mobs to improve DF mobility.",
+    rule: "content.ankle_mobs",
+    message: "PT visit summary: ankle/foot + MT requires talocrural joint mobs.",
+  },
+  {
+    id: "pt.elbow",
+    discipline: "PT",
+    topic: "elbow",
+    triggers: ["elbow", "epicondyl*", "tennis elbow", "golfer's elbow", "cubital"],
+    required: [
+      "wrist extensor",
+      "wrist flexor",
+      "ecrb",
+      "ecrl",
+      "pronator teres",
+      "supinator",
+      "brachioradialis",
+    ],
+    constraint:
+      "If elbow topic: MUST name the wrist extensors (ECRB/ECRL) or wrist flexors, pronator teres, supinator, and brachioradialis as relevant; if MT/STM is referenced, phrase as STM/MT to release those specific tissues (no 'forearm muscles').",
+    rule: "content.elbow_muscles",
+    message:
+      "PT visit summary: elbow topic requires explicit muscles (wrist extensors/ECRB/ECRL, wrist flexors, pronator teres, supinator, brachioradialis).",
+  },
+  {
+    id: "pt.wrist_hand",
+    discipline: "PT",
+    topic: "wrist/hand",
+    triggers: [
+      "wrist",
+      "hand pain",
+      "carpal tunnel",
+      "de quervain*",
+      "thumb",
+      "cmc",
+      "trigger finger",
+    ],
+    required: [
+      "wrist flexor",
+      "wrist extensor",
+      "thenar",
+      "intrinsic",
+      "fds",
+      "fdp",
+      "apl",
+      "epb",
+      "carpal",
+    ],
+    constraint:
+      "If wrist/hand topic: MUST name the specific tissues (wrist flexors/extensors, thenar musculature, hand intrinsics, FDS/FDP, APL/EPB) and carpal mobs when MT is referenced (no 'hand muscles').",
+    rule: "content.wrist_hand_tissues",
+    message:
+      "PT visit summary: wrist/hand topic requires explicit tissues (wrist flexors/extensors, thenar, intrinsics, FDS/FDP, APL/EPB, carpal mobs).",
+  },
+  {
+    id: "pt.tmj",
+    discipline: "PT",
+    topic: "TMJ/jaw",
+    triggers: ["tmj", "jaw pain", "temporomandibular", "bruxism"],
+    required: ["masseter", "temporalis", "pterygoid"],
+    constraint:
+      "If TMJ/jaw topic: MUST name masseter, temporalis, and lateral/medial pterygoids (plus suboccipitals when relevant); include TMJ mobs or jaw ROM/motor control training consistent with user instruction (no 'jaw muscles').",
+    rule: "content.tmj_muscles",
+    message:
+      "PT visit summary: TMJ topic requires explicit muscles (masseter, temporalis, lateral/medial pterygoids).",
+  },
+  {
+    id: "pt.vestibular",
+    discipline: "PT",
+    topic: "vestibular/BPPV",
+    triggers: ["bppv", "vertigo", "dizziness", "vestibular", "nystagmus", "dix-hallpike"],
+    required: [
+      "canalith",
+      "epley",
+      "semont",
+      "bbq roll",
+      "gufoni",
+      "gaze stabilization",
+      "vor x*",
+      "vor training",
+      "habituation",
+      "brandt-daroff",
+    ],
+    constraint:
+      "If vestibular/BPPV topic: name the specific vestibular treatment consistent with user instruction (canalith repositioning such as Epley/BBQ roll, gaze stabilization/VOR x1, or habituation exercises); do not write generic 'vestibular exercises' or 'balance work' alone.",
+    rule: "content.vestibular_treatment",
+    message:
+      "PT visit summary: vestibular topic requires the specific treatment (canalith repositioning, gaze stabilization/VOR, habituation).",
+  },
+  {
+    id: "pt.posture",
+    discipline: "PT",
+    topic: "posture",
+    triggers: [
+      "poor posture",
+      "forward head",
+      "rounded shoulders",
+      "kyphosis",
+      "scapular protraction",
+    ],
+    required: ["postural", "t-spine", "upper back", "pec minor"],
+    constraint:
+      "If poor posture/forward head mentioned: include postural training for awareness, upper back/T-spine strengthening, and pec minor stretching.",
+    rule: "content.posture",
+    message:
+      "PT visit summary: posture topic requires postural training + T-spine/upper back strengthening + pec minor stretching.",
+  },
+  {
+    id: "pt.gait",
+    discipline: "PT",
+    topic: "gait impairment",
+    triggers: [
+      "abnormal gait",
+      "impaired gait",
+      "trendelenburg",
+      "antalgic",
+      "shuffling",
+      "decreased stride",
+      "decreased step",
+      "gait deviation",
+    ],
+    required: ["gait training", "stride", "step length", "reciprocal"],
+    constraint:
+      "If gait impairment/Trendelenburg mentioned: include gait training and education to reduce deviations and improve mechanics with increased step/stride length and improved reciprocal movement (as appropriate).",
+    rule: "content.gait",
+    message:
+      "PT visit summary: gait impairment requires gait training/education emphasizing step/stride length and reciprocal pattern.",
+  },
+  {
+    id: "pt.mt_specific",
+    discipline: "PT",
+    topic: "MT/STM wording",
+    triggers: ["@mt"],
+    constraint:
+      "If MT/STM is mentioned anywhere: avoid generic phrases like 'address muscle tension'; name the specific tissues relevant to the region.",
+  },
+
+  // ---------------- OT ----------------
+  {
+    id: "ot.adl_task",
+    discipline: "OT",
+    topic: "ADL/self-care",
+    triggers: [
+      "adl",
+      "self-care",
+      "dressing",
+      "bathing",
+      "grooming",
+      "toileting",
+      "feeding",
+      "hygiene",
+      "meal prep",
+      "laundry",
+      "shower",
+    ],
+    required: [
+      "dressing",
+      "bathing",
+      "grooming",
+      "toileting",
+      "toilet transfer",
+      "tub transfer",
+      "feeding",
+      "hygiene",
+      "meal prep",
+      "laundry",
+      "shower",
+      "donning",
+      "doffing",
+    ],
+    constraint:
+      "If ADL/self-care topic: MUST name the specific ADL task trained (e.g., LB dressing, UB dressing, bathing, grooming, toileting, self-feeding, meal prep) consistent with user instruction (no generic 'ADLs' alone).",
+    rule: "content.ot_adl_task",
+    message:
+      "OT visit summary: ADL topic requires the specific ADL task named (dressing, bathing, grooming, toileting, feeding, meal prep, etc.).",
+  },
+  {
+    id: "ot.adaptive_equipment",
+    discipline: "OT",
+    topic: "adaptive equipment",
+    triggers: [
+      "ae",
+      "adaptive equipment",
+      "reacher",
+      "sock aid",
+      "long-handled",
+      "built-up",
+      "tub bench",
+      "button hook",
+      "dressing stick",
+      "rocker knife",
+    ],
+    required: [
+      "reacher",
+      "sock aid",
+      "long-handled",
+      "built-up",
+      "tub bench",
+      "shower chair",
+      "button hook",
+      "dressing stick",
+      "rocker knife",
+      "adaptive equipment",
+    ],
+    constraint:
+      "If adaptive equipment mentioned: MUST name the AE used (e.g., reacher, sock aid, long-handled sponge, built-up utensils, tub bench) exactly as in the user instruction; do not add AE that was not mentioned.",
+    rule: "content.ot_adaptive_equipment",
+    message: "OT visit summary: adaptive equipment mention requires the AE used to be named.",
+  },
+  {
+    id: "ot.energy_joint_protection",
+    discipline: "OT",
+    topic: "energy conservation/joint protection",
+    triggers: [
+      "energy conservation",
+      "pacing",
+      "fatigue",
+      "sob",
+      "copd",
+      "chf",
+      "joint protection",
+      "arthritis",
+      "oa",
+    ],
+    required: [
+      "energy conservation",
+      "pacing",
+      "rest break",
+      "work simplification",
+      "joint protection",
+    ],
+    constraint:
+      "If fatigue/endurance or joint-pain topic: include the energy conservation (pacing, rest breaks, work simplification) or joint protection strategies trained.",
+    rule: "content.ot_energy_joint_protection",
+    message:
+      "OT visit summary: fatigue/joint topic requires energy conservation or joint protection strategies.",
+  },
+  {
+    id: "ot.fine_motor",
+    discipline: "OT",
+    topic: "fine motor/grip",
+    triggers: [
+      "fine motor",
+      "grip",
+      "pinch",
+      "dexterity",
+      "coordination",
+      "in-hand manipulation",
+      "putty",
+      "pegboard",
+      "9-hole",
+      "handwriting",
+    ],
+    required: [
+      "fine motor",
+      "grip",
+      "pinch",
+      "dexterity",
+      "in-hand manipulation",
+      "putty",
+      "pegboard",
+      "9-hole",
+      "button",
+      "coordination",
+    ],
+    constraint:
+      "If fine motor/grip topic: name the fine motor or grip/pinch task performed (e.g., in-hand manipulation, putty grip/pinch, pegboard, buttons) (no 'hand function' alone).",
+    rule: "content.ot_fine_motor",
+    message:
+      "OT visit summary: fine motor/grip topic requires the fine motor or grip/pinch task named.",
+  },
+  {
+    id: "ot.neuro_strategies",
+    discipline: "OT",
+    topic: "neuro (CVA/TBI/neglect)",
+    triggers: [
+      "cva",
+      "stroke",
+      "neglect",
+      "inattention",
+      "hemipar*",
+      "hemipleg*",
+      "tbi",
+      "apraxia",
+      "sequencing",
+      "visual field",
+    ],
+    required: [
+      "scanning",
+      "anchoring",
+      "sequencing",
+      "task segmentation",
+      "midline",
+      "weight bearing",
+      "mirror therapy",
+      "constraint-induced",
+    ],
+    constraint:
+      "If neuro topic (CVA/TBI/neglect/apraxia): include the neuro strategy used (e.g., visual scanning/anchoring for neglect, sequencing cues/task segmentation, midline orientation, affected UE weight bearing) consistent with user instruction.",
+    rule: "content.ot_neuro_strategies",
+    message:
+      "OT visit summary: neuro topic requires the strategy used (visual scanning/anchoring, sequencing cues, task segmentation, midline orientation).",
+  },
+  {
+    id: "ot.ue_specificity",
+    discipline: "OT",
+    topic: "UE",
+    triggers: ["ue", "upper extremity", "shoulder", "elbow", "wrist", "reaching"],
+    required: [
+      "shoulder flexion",
+      "shoulder abd*",
+      "scapular",
+      "rotator cuff",
+      "deltoid",
+      "biceps",
+      "triceps",
+      "elbow",
+      "wrist",
+      "grip",
+      "overhead reach*",
+      "reaching",
+    ],
+    constraint:
+      "If UE topic: name the specific UE movements or muscles addressed (e.g., shoulder flexion/abd, scapular stabilizers, elbow/wrist extensors, overhead reaching); avoid generic phrases like 'worked on UE function'.",
+    rule: "content.ot_ue_specificity",
+    message:
+      "OT visit summary: UE topic requires specific movements/muscles (no generic 'UE function').",
+  },
+];